@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Context passed to every action handler
+ * @typedef {Object} ActionContext
+ * @property {string|null} runId - Port action run ID (null when invoked by a change rule)
+ * @property {Object} action - Action definition from the message ({ identifier, ... })
+ * @property {Object} properties - User inputs of the action run
+ * @property {Object|null} entity - Target entity of the action, if any
+ * @property {Object} user - User who triggered the action ({ email, ... })
+ * @property {Object} message - Raw Kafka message
+ * @property {Object} [change] - For change rules: { operation, blueprint, identifier, before, after, trigger }
+ * @property {AbortSignal} signal - Aborted when the run is cancelled (Port cancellation or timeout)
+ * @property {winston.Logger} logger - Application logger tagged with the run's runId, action, job and build number
+ * @property {function(string, string=, string=): Promise} log - Add a log line to the run (message, terminationStatus, statusLabel)
+ * @property {function(Object): Promise} updateRun - Patch the run (statusLabel, link, ...)
+ * @property {function(string, Object): Promise} upsertEntity - Create or update an entity, linked to the run
+ * @property {Object} jenkins - Jenkins helpers
+ * @property {string} jenkins.server - Name of the Jenkins server this run is routed to
+ * @property {JenkinsLogCapture} jenkins.capture - Jenkins REST client of that server
+ * @property {function(Object=, string=): Promise<{buildNumber: number, jobName: string}>} jenkins.trigger - Trigger a build and resolve its number
+ * @property {function(): Promise} jenkins.deploy - Run the full trigger + log streaming flow for this run
+ */
+
+/**
+ * Action handler
+ * @callback ActionHandler
+ * @param {ActionContext} context
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Convert a glob pattern (`*`, `?`) to an anchored RegExp
+ */
+function globToRegExp(glob) {
+  const escaped = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Registry of Port action handlers
+ * Handlers are matched by exact action identifier first, then by glob/RegExp
+ * patterns in registration order. Unmatched actions go to the default handler.
+ */
+class ActionHandlerRegistry {
+  constructor() {
+    this.exactHandlers = new Map();
+    this.patternHandlers = [];
+    this.defaultHandler = null;
+  }
+
+  /**
+   * Register a handler
+   * @param {string|RegExp|Array<string|RegExp>} matcher - Action identifier, glob ("deploy_*") or RegExp
+   * @param {ActionHandler} handler
+   */
+  register(matcher, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${matcher} must be a function`);
+    }
+
+    const matchers = Array.isArray(matcher) ? matcher : [matcher];
+    for (const m of matchers) {
+      if (m instanceof RegExp) {
+        this.patternHandlers.push({ pattern: m, source: m.toString(), handler });
+      } else if (typeof m === 'string' && /[*?]/.test(m)) {
+        this.patternHandlers.push({ pattern: globToRegExp(m), source: m, handler });
+      } else if (typeof m === 'string' && m) {
+        if (this.exactHandlers.has(m)) {
+          logger.warn(`Overriding handler for action: ${m}`);
+        }
+        this.exactHandlers.set(m, handler);
+      } else {
+        throw new Error(`Invalid action matcher: ${m}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set the handler used for actions without a registered handler
+   * @param {ActionHandler} handler
+   */
+  setDefault(handler) {
+    this.defaultHandler = handler;
+    return this;
+  }
+
+  /**
+   * Find the handler for an action identifier
+   * @param {string} identifier
+   * @param {boolean} useDefault - Fall back to the default handler
+   * @returns {ActionHandler|null}
+   */
+  resolve(identifier, useDefault = true) {
+    if (this.exactHandlers.has(identifier)) {
+      return this.exactHandlers.get(identifier);
+    }
+    const match = this.patternHandlers.find(({ pattern }) => pattern.test(identifier));
+    if (match) {
+      return match.handler;
+    }
+    return useDefault ? this.defaultHandler : null;
+  }
+
+  /**
+   * Load handler modules from a directory
+   * Each module exports `{ match, handle }` (or an array of them), where `match`
+   * accepts anything `register()` does.
+   * @param {string} directory
+   * @returns {number} Number of handlers loaded
+   */
+  loadFromDirectory(directory) {
+    const dir = path.resolve(directory);
+    if (!fs.existsSync(dir)) {
+      logger.debug(`Action handlers directory not found: ${dir}`);
+      return 0;
+    }
+
+    let loaded = 0;
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      const modulePath = path.join(dir, file);
+      const exported = require(modulePath);
+      const definitions = Array.isArray(exported) ? exported : [exported];
+
+      for (const definition of definitions) {
+        if (!definition || !definition.match || typeof definition.handle !== 'function') {
+          throw new Error(`Invalid action handler module ${modulePath}: expected { match, handle }`);
+        }
+        this.register(definition.match, definition.handle);
+        loaded++;
+      }
+      logger.info(`Loaded action handler module: ${file}`);
+    }
+    return loaded;
+  }
+
+  /**
+   * List registered matchers (for startup logging)
+   */
+  describe() {
+    return [
+      ...this.exactHandlers.keys(),
+      ...this.patternHandlers.map(({ source }) => source),
+    ];
+  }
+}
+
+module.exports = ActionHandlerRegistry;
+module.exports.globToRegExp = globToRegExp;
@@ -0,0 +1,205 @@
+/**
+ * Port entity for a Jenkins build
+ * Describes every build triggered from Port as an entity (job, number, result,
+ * duration, stages, parameters, triggering user, links), optionally related to
+ * the action's target entity. The blueprint identifier and the Port property
+ * each field is written to are configurable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { flattenTree } = require('./pipeline-tree');
+const { DEFAULT_SERVER } = require('./jenkins-servers');
+
+/**
+ * Default configuration
+ * properties maps build fields to Port property identifiers (null skips a field);
+ * relations maps a target entity's blueprint to the relation identifier; builds
+ * of actions on other blueprints are not related to their target.
+ */
+const DEFAULT_BUILD_ENTITY_CONFIG = {
+  blueprint: 'jenkinsBuild',
+  properties: {
+    jobName: 'jobName',
+    buildNumber: 'buildNumber',
+    server: 'jenkinsServer',
+    result: 'result',
+    durationSeconds: 'durationSeconds',
+    stages: 'stages',
+    parameters: 'parameters',
+    triggeredBy: 'triggeredBy',
+    runLink: 'portRunLink',
+    buildUrl: 'buildUrl',
+    startedAt: 'startedAt',
+  },
+  relations: {},
+};
+
+/**
+ * Port property schema of each build field (used to create the blueprint)
+ */
+const FIELD_SCHEMAS = {
+  jobName: { title: 'Job', type: 'string' },
+  buildNumber: { title: 'Build Number', type: 'number' },
+  server: { title: 'Jenkins Server', type: 'string' },
+  result: {
+    title: 'Result',
+    type: 'string',
+    enum: ['BUILDING', 'SUCCESS', 'FAILURE', 'UNSTABLE', 'ABORTED', 'NOT_BUILT'],
+    enumColors: { BUILDING: 'blue', SUCCESS: 'green', FAILURE: 'red', UNSTABLE: 'yellow', ABORTED: 'darkGray', NOT_BUILT: 'lightGray' },
+  },
+  durationSeconds: { title: 'Duration (s)', type: 'number' },
+  stages: { title: 'Stages', type: 'array', items: { type: 'object' } },
+  parameters: { title: 'Parameters', type: 'object' },
+  triggeredBy: { title: 'Triggered By', type: 'string' },
+  runLink: { title: 'Port Run', type: 'string', format: 'url' },
+  buildUrl: { title: 'Jenkins Build', type: 'string', format: 'url' },
+  startedAt: { title: 'Started At', type: 'string', format: 'date-time' },
+};
+
+/**
+ * Load the entity configuration, merged over the defaults
+ * @param {string} filePath - Optional JSON file ({ blueprint, properties, relations })
+ * @param {string} blueprint - Blueprint identifier override (e.g. from BUILD_ENTITY_BLUEPRINT)
+ */
+function loadBuildEntityConfig(filePath, blueprint = null) {
+  let file = {};
+  if (filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Build entity mapping file not found: ${resolved}`);
+    }
+    try {
+      file = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid build entity mapping file ${resolved}: ${error.message}`);
+    }
+  }
+
+  return {
+    blueprint: blueprint || file.blueprint || DEFAULT_BUILD_ENTITY_CONFIG.blueprint,
+    properties: { ...DEFAULT_BUILD_ENTITY_CONFIG.properties, ...(file.properties || {}) },
+    relations: { ...DEFAULT_BUILD_ENTITY_CONFIG.relations, ...(file.relations || {}) },
+  };
+}
+
+/**
+ * Entity identifier of a build, e.g. "team-service-42" or "eu-deploy-17"
+ * The default server is left out of the identifier.
+ */
+function buildEntityIdentifier(jobName, buildNumber, server = null) {
+  const base = [server === DEFAULT_SERVER ? null : server, jobName, buildNumber].filter(part => part !== null && part !== undefined && part !== '').join('-');
+  return base.replace(/%2F/gi, '-').replace(/[^A-Za-z0-9@_.:=+-]+/g, '-');
+}
+
+/**
+ * Result of a build as stored on the entity
+ */
+function buildResultOf(build) {
+  if (!build || build.building) return 'BUILDING';
+  return build.result || 'BUILDING';
+}
+
+/**
+ * Build the entity for a build
+ * Fields that are unknown (e.g. parameters of a recovered run) are left out so
+ * a merge keeps their previous value.
+ * @param {Object} config - From loadBuildEntityConfig
+ * @param {Object} build
+ * @param {string} build.jobName
+ * @param {number} build.buildNumber
+ * @param {string} build.server - Jenkins server name
+ * @param {Object} build.status - getBuildStatus() result
+ * @param {Object} build.tree - PipelineFollower tree
+ * @param {Object} build.parameters - Masked build parameters
+ * @param {string} build.triggeredBy
+ * @param {string} build.runLink
+ * @param {string} build.buildUrl
+ * @param {{identifier: string, blueprint: string}} build.target - Action target entity
+ */
+function createBuildEntity(config, build) {
+  const fields = {
+    jobName: build.jobName,
+    buildNumber: build.buildNumber,
+    server: build.server,
+    result: buildResultOf(build.status),
+    durationSeconds: build.status && !build.status.building && build.status.duration
+      ? Math.round(build.status.duration / 100) / 10
+      : undefined,
+    stages: build.tree
+      ? flattenTree(build.tree.children).map(({ path: name, node }) => ({
+        name,
+        type: node.type,
+        status: node.status,
+        durationSeconds: node.durationMillis ? Math.round(node.durationMillis / 100) / 10 : null,
+      }))
+      : undefined,
+    parameters: build.parameters,
+    triggeredBy: build.triggeredBy,
+    runLink: build.runLink,
+    buildUrl: build.buildUrl,
+    startedAt: build.status?.timestamp ? new Date(build.status.timestamp).toISOString() : undefined,
+  };
+
+  const properties = {};
+  for (const [field, value] of Object.entries(fields)) {
+    const property = config.properties[field];
+    if (property && value !== undefined && value !== null) {
+      properties[property] = value;
+    }
+  }
+
+  // Only configured relations, the blueprint may not have one for every target
+  const relations = {};
+  if (build.target?.identifier && build.target.blueprint) {
+    const relation = config.relations[build.target.blueprint];
+    if (relation) {
+      relations[relation] = build.target.identifier;
+    }
+  }
+
+  return {
+    identifier: buildEntityIdentifier(build.jobName, build.buildNumber, build.server),
+    title: `${build.jobName} #${build.buildNumber}`,
+    properties,
+    relations,
+  };
+}
+
+/**
+ * Blueprint definition for the configured entity
+ * @param {Object} config - From loadBuildEntityConfig
+ * @param {Array<string>} relatedBlueprints - More target blueprints to relate to, besides the configured relations
+ */
+function createBuildBlueprint(config, relatedBlueprints = []) {
+  const properties = {};
+  for (const [field, property] of Object.entries(config.properties)) {
+    if (property && FIELD_SCHEMAS[field]) {
+      properties[property] = FIELD_SCHEMAS[field];
+    }
+  }
+
+  const relations = {};
+  for (const target of new Set([...Object.keys(config.relations), ...relatedBlueprints])) {
+    const relation = config.relations[target] ?? target;
+    if (relation) {
+      relations[relation] = { title: target, target, required: false, many: false };
+    }
+  }
+
+  return {
+    identifier: config.blueprint,
+    title: 'Jenkins Build',
+    icon: 'Jenkins',
+    schema: { properties, required: [] },
+    relations,
+  };
+}
+
+module.exports = {
+  DEFAULT_BUILD_ENTITY_CONFIG,
+  loadBuildEntityConfig,
+  buildEntityIdentifier,
+  createBuildEntity,
+  createBuildBlueprint,
+};
@@ -0,0 +1,226 @@
+/**
+ * Port inputs -> Jenkins build parameters
+ * Maps action inputs onto the parameters a job declares (its
+ * parametersDefinitionProperty), applying the configured mapping (rename,
+ * default, transform), converting values by parameter type and collecting
+ * every problem so the run can fail before anything is triggered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Inputs used for routing, never sent as build parameters
+ */
+const ROUTING_KEYS = ['job_name', 'jobName', 'jenkins_job', 'jenkins_server', 'jenkinsServer'];
+
+/**
+ * Named transforms usable from a JSON mapping file
+ */
+const TRANSFORMS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  trim: (value) => String(value).trim(),
+  string: (value) => String(value),
+  number: (value) => Number(value),
+  boolean: (value) => value === true || value === 'true',
+  json: (value) => JSON.stringify(value),
+  csv: (value) => (Array.isArray(value) ? value.join(',') : String(value)),
+  lines: (value) => (Array.isArray(value) ? value.join('\n') : String(value)),
+};
+
+/**
+ * Load the parameter mapping
+ * A .json file holds named transforms only; a .js module may use functions.
+ * Shape: { "<action identifier | job name | *>": { parameters: { JENKINS_PARAM: { from, default, transform } }, passThrough } }
+ * @param {string} filePath
+ */
+function loadParameterMapping(filePath) {
+  if (!filePath) return {};
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Jenkins parameter mapping file not found: ${resolved}`);
+  }
+  if (resolved.endsWith('.js')) {
+    return require(resolved);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid Jenkins parameter mapping file ${resolved}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the declared parameter an input maps to: exact name, UPPER_CASE, then case-insensitive
+ */
+function findDefinition(definitions, name) {
+  return definitions.find(def => def.name === name)
+    || definitions.find(def => def.name === name.toUpperCase())
+    || definitions.find(def => def.name.toLowerCase() === name.toLowerCase())
+    || null;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Convert a value for a declared parameter type
+ * @returns {{value?: *, file?: Object, error?: string}}
+ */
+function convertValue(definition, value) {
+  const name = definition.name;
+
+  switch (definition.type) {
+    case 'Boolean':
+      if (value === true || value === 'true') return { value: 'true' };
+      if (value === false || value === 'false') return { value: 'false' };
+      return { error: `Parameter ${name} expects true or false, got ${JSON.stringify(value)}` };
+
+    case 'Choice': {
+      const choice = String(value);
+      if (definition.choices && !definition.choices.includes(choice)) {
+        return { error: `Parameter ${name} must be one of [${definition.choices.join(', ')}], got "${choice}"` };
+      }
+      return { value: choice };
+    }
+
+    case 'File':
+    case 'Base64File':
+    case 'StashedFile': {
+      // Port file inputs arrive as their content
+      if (typeof value !== 'string' && !(value && typeof value === 'object')) {
+        return { error: `Parameter ${name} expects file content` };
+      }
+      const content = typeof value === 'string' ? value : JSON.stringify(value);
+      if (definition.type === 'Base64File') {
+        return { value: Buffer.from(content).toString('base64') };
+      }
+      return { file: { name: value?.name || name, content } };
+    }
+
+    case 'Text':
+      if (Array.isArray(value)) return { value: value.join('\n') };
+      if (value && typeof value === 'object') return { value: JSON.stringify(value, null, 2) };
+      return { value: String(value) };
+
+    default:
+      // String, Password and plugin-provided types take plain strings
+      if (Array.isArray(value)) {
+        return { value: value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join(',') };
+      }
+      if (value && typeof value === 'object') return { value: JSON.stringify(value) };
+      return { value: String(value) };
+  }
+}
+
+/**
+ * Map Port inputs to Jenkins build parameters
+ * @param {Object} options
+ * @param {Object} options.properties - Action run inputs
+ * @param {string} options.actionIdentifier - Port action identifier
+ * @param {string} options.jobName - Target Jenkins job
+ * @param {Array<Object>|null} options.definitions - Declared parameters (see JenkinsLogCapture.getJobParameters), null if unknown
+ * @param {Object} options.mapping - Loaded parameter mapping
+ * @param {string} options.runId - Port run ID, sent as PORT_RUN_ID
+ * @returns {{parameters: Object<string, string>, files: Object<string, {name: string, content: string}>, errors: Array<string>}}
+ */
+function mapBuildParameters({ properties = {}, actionIdentifier, jobName, definitions, mapping = {}, runId }) {
+  const config = mapping[actionIdentifier] || mapping[jobName] || mapping['*'] || {};
+  const rules = config.parameters || {};
+  const passThrough = config.passThrough !== false;
+  const declared = Array.isArray(definitions) && definitions.length > 0;
+
+  const values = {};
+  const errors = [];
+  const consumed = new Set(ROUTING_KEYS);
+
+  // 1. Explicit mapping rules
+  for (const [target, rule] of Object.entries(rules)) {
+    const spec = typeof rule === 'string' ? { from: rule } : rule;
+    if (spec.from) consumed.add(spec.from);
+
+    let value = spec.from ? properties[spec.from] : undefined;
+    if (isEmpty(value)) value = spec.value !== undefined ? spec.value : spec.default;
+    if (isEmpty(value)) continue;
+
+    if (spec.transform) {
+      const transform = typeof spec.transform === 'function' ? spec.transform : TRANSFORMS[spec.transform];
+      if (!transform) {
+        errors.push(`Unknown transform "${spec.transform}" for parameter ${target}`);
+        continue;
+      }
+      try {
+        value = transform(value, properties);
+      } catch (error) {
+        errors.push(`Transform "${spec.transform}" failed for parameter ${target}: ${error.message}`);
+        continue;
+      }
+    }
+    values[target] = value;
+  }
+
+  // 2. Remaining inputs, matched to declared parameters by name
+  if (passThrough) {
+    for (const [key, value] of Object.entries(properties)) {
+      if (consumed.has(key) || isEmpty(value)) continue;
+
+      if (!declared) {
+        // Job parameters unknown: keep the UPPER_CASE convention
+        values[key.toUpperCase()] = value;
+        continue;
+      }
+
+      const definition = findDefinition(definitions, key);
+      if (!definition) {
+        errors.push(`Input "${key}" does not match any parameter of job ${jobName} (declared: ${definitions.map(def => def.name).join(', ')})`);
+        continue;
+      }
+      if (values[definition.name] === undefined) {
+        values[definition.name] = value;
+      }
+    }
+  }
+
+  // 3. Always add run ID for tracking (when the job can receive it)
+  if (runId && (!declared || findDefinition(definitions, 'PORT_RUN_ID'))) {
+    values.PORT_RUN_ID = runId;
+  }
+
+  // 4. Validate and convert against the declared parameters
+  const parameters = {};
+  const files = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (!declared) {
+      const converted = convertValue({ name, type: typeof value === 'boolean' ? 'Boolean' : 'String' }, value);
+      parameters[name] = converted.value;
+      continue;
+    }
+
+    const definition = definitions.find(def => def.name === name);
+    if (!definition) {
+      errors.push(`Mapped parameter ${name} is not declared by job ${jobName}`);
+      continue;
+    }
+
+    const converted = convertValue(definition, value);
+    if (converted.error) {
+      errors.push(converted.error);
+    } else if (converted.file) {
+      files[name] = converted.file;
+    } else {
+      parameters[name] = converted.value;
+    }
+  }
+
+  return { parameters, files, errors };
+}
+
+module.exports = {
+  ROUTING_KEYS,
+  TRANSFORMS,
+  loadParameterMapping,
+  mapBuildParameters,
+  convertValue,
+};
@@ -0,0 +1,320 @@
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const PipelineFollower = require('./pipeline-tree');
+const { flattenTree } = require('./pipeline-tree');
+const { sleep } = require('./jenkins-log-capture');
+
+/**
+ * One build's log, polled once and shared by all subscribers
+ * Raw progressiveText chunks are kept (up to maxBufferBytes, oldest dropped)
+ * with their byte offsets, so a subscriber can start from any offset still
+ * buffered and then receives new chunks as they arrive. Stage transitions
+ * and the end of the build are published too.
+ *
+ * Events: 'chunk' ({start, end, text}), 'stage' ({path, type, status, durationMillis}),
+ * 'end' ({result, duration} or {error}), 'idle' (last subscriber left a running build).
+ */
+class BuildStream extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {JenkinsLogCapture} options.capture
+   * @param {string} options.jobName
+   * @param {number} options.buildNumber
+   * @param {number} options.pollInterval - progressiveText poll interval (ms)
+   * @param {number} options.stageInterval - Stage poll interval (ms)
+   * @param {number} options.maxBufferBytes - Raw log kept for replay
+   */
+  constructor(options) {
+    super();
+    this.setMaxListeners(0);
+    this.capture = options.capture;
+    this.jobName = options.jobName;
+    this.buildNumber = options.buildNumber;
+    this.pollInterval = options.pollInterval || 2000;
+    this.stageInterval = options.stageInterval || 2000;
+    this.maxBufferBytes = options.maxBufferBytes || 10 * 1024 * 1024;
+
+    this.chunks = [];
+    this.bufferedBytes = 0;
+    this.offset = 0;
+    this.stages = new Map();
+    this.ended = null;
+    this.subscribers = 0;
+    this.controller = new AbortController();
+    this.done = null;
+  }
+
+  get key() {
+    return `${this.jobName} #${this.buildNumber}`;
+  }
+
+  /**
+   * First byte offset that can still be replayed
+   */
+  get firstOffset() {
+    return this.chunks.length > 0 ? this.chunks[0].start : this.offset;
+  }
+
+  /**
+   * Start polling (once)
+   * @returns {Promise} Resolves when the build has ended
+   */
+  start() {
+    if (!this.done) {
+      this.done = this.run();
+    }
+    return this.done;
+  }
+
+  async run() {
+    const signal = this.controller.signal;
+    const follower = new PipelineFollower({
+      capture: this.capture,
+      jobName: this.jobName,
+      buildNumber: this.buildNumber,
+      maxDepth: 0,
+      branchLogs: false,
+      signal,
+    });
+    const stageTimer = setInterval(() => this.pollStages(follower), this.stageInterval);
+
+    try {
+      await this.capture.streamLogs(this.buildNumber, (text, nextOffset) => {
+        this.addChunk(text, nextOffset);
+      }, this.pollInterval, this.jobName, { signal });
+
+      // The log can be complete a moment before the build is
+      let status = await this.capture.getBuildStatus(this.buildNumber, this.jobName);
+      while (status.building) {
+        await sleep(this.pollInterval, signal);
+        status = await this.capture.getBuildStatus(this.buildNumber, this.jobName);
+      }
+      clearInterval(stageTimer);
+      await this.pollStages(follower);
+      this.end({ result: status.result, duration: status.duration });
+    } catch (error) {
+      this.end({ error: signal.aborted ? 'Stream closed' : error.message });
+    } finally {
+      clearInterval(stageTimer);
+      follower.stop();
+    }
+  }
+
+  addChunk(text, nextOffset) {
+    const chunk = { start: this.offset, end: nextOffset, text };
+    this.offset = nextOffset;
+    this.chunks.push(chunk);
+    metrics.recordLogChunk('webhook', text);
+    this.bufferedBytes += nextOffset - chunk.start;
+    while (this.bufferedBytes > this.maxBufferBytes && this.chunks.length > 1) {
+      const dropped = this.chunks.shift();
+      this.bufferedBytes -= dropped.end - dropped.start;
+    }
+    this.emit('chunk', chunk);
+  }
+
+  async pollStages(follower) {
+    try {
+      await follower.refresh();
+      for (const { path, node } of flattenTree(follower.tree.children)) {
+        const previous = this.stages.get(path);
+        if (!previous || previous.status !== node.status) {
+          const stage = { path, type: node.type, status: node.status, durationMillis: node.durationMillis || 0 };
+          this.stages.set(path, stage);
+          this.emit('stage', stage);
+        }
+      }
+    } catch (error) {
+      logger.debug(`Stage check error for ${this.key}: ${error.message}`);
+    }
+  }
+
+  end(result) {
+    if (this.ended) return;
+    this.ended = result;
+    this.emit('end', result);
+  }
+
+  /**
+   * Subscribe from a byte offset
+   * Buffered text from the offset and the current stages are replayed
+   * synchronously, then new events are delivered until the build ends.
+   * @param {Object} handlers
+   * @param {number} handlers.fromOffset - Byte offset to start from (default 0)
+   * @param {function(string, number)} handlers.onChunk - Called with (text, nextOffset)
+   * @param {function(Object)} handlers.onStage
+   * @param {function(Object)} handlers.onEnd
+   * @param {function(number)} handlers.onTruncated - The offset was no longer buffered; called with the first available offset
+   * @returns {function()} Unsubscribe
+   */
+  subscribe({ fromOffset = 0, onChunk = () => {}, onStage = () => {}, onEnd = () => {}, onTruncated = () => {} }) {
+    if (fromOffset < this.firstOffset) {
+      onTruncated(this.firstOffset);
+    }
+    // Text before the offset is skipped, whether buffered or still to come
+    const deliver = (chunk) => {
+      if (chunk.end <= fromOffset) return;
+      const text = chunk.start < fromOffset
+        ? Buffer.from(chunk.text).subarray(fromOffset - chunk.start).toString()
+        : chunk.text;
+      onChunk(text, chunk.end);
+    };
+    this.chunks.forEach(deliver);
+    this.stages.forEach(stage => onStage(stage));
+    if (this.ended) {
+      onEnd(this.ended);
+      return () => {};
+    }
+
+    const endListener = (result) => {
+      unsubscribe();
+      onEnd(result);
+    };
+    this.on('chunk', deliver);
+    this.on('stage', onStage);
+    this.on('end', endListener);
+    this.subscribers++;
+
+    let subscribed = true;
+    const unsubscribe = () => {
+      if (!subscribed) return;
+      subscribed = false;
+      this.subscribers--;
+      this.off('chunk', deliver);
+      this.off('stage', onStage);
+      this.off('end', endListener);
+      if (this.subscribers === 0 && !this.ended) {
+        this.emit('idle');
+      }
+    };
+    return unsubscribe;
+  }
+
+  close() {
+    if (!this.controller.signal.aborted) {
+      this.controller.abort(new Error('Build stream closed'));
+    }
+  }
+}
+
+/**
+ * Shared build streams, one per job and build number
+ * A stream is created by the first subscriber (or the webhook capture) and
+ * kept for retainMs after the build ends so late viewers can still replay it.
+ * A running build's stream is closed once it had no subscriber (the capture
+ * is one) for idleMs. At most maxStreams are open; ended streams make room.
+ */
+class BuildStreamHub {
+  /**
+   * @param {Object} options
+   * @param {JenkinsLogCapture} options.capture
+   * @param {number} options.pollInterval
+   * @param {number} options.maxBufferBytes - Per build
+   * @param {number} options.retainMs - How long an ended stream stays available
+   * @param {number} options.idleMs - How long a running build's stream stays open without subscribers
+   * @param {number} options.maxStreams - Streams open at once
+   */
+  constructor(options) {
+    this.capture = options.capture;
+    this.pollInterval = options.pollInterval;
+    this.maxBufferBytes = options.maxBufferBytes;
+    this.retainMs = options.retainMs ?? 5 * 60 * 1000;
+    this.idleMs = options.idleMs ?? 30 * 1000;
+    this.maxStreams = options.maxStreams || 50;
+    this.streams = new Map();
+  }
+
+  /**
+   * Whether open() would return a stream for the build without going past maxStreams
+   */
+  canOpen(jobName, buildNumber) {
+    return this.streams.has(`${jobName} #${buildNumber}`)
+      || this.streams.size < this.maxStreams
+      || Array.from(this.streams.values()).some(stream => stream.ended);
+  }
+
+  /**
+   * Get the stream of a build, starting it if needed
+   * @param {Object} options
+   * @param {boolean} options.force - Open even past maxStreams (the webhook capture)
+   * @returns {BuildStream}
+   * @throws {Error} With status 503 when maxStreams are open and none has ended
+   */
+  open(jobName, buildNumber, { force = false } = {}) {
+    const key = `${jobName} #${buildNumber}`;
+    let stream = this.streams.get(key);
+    if (!stream) {
+      if (this.streams.size >= this.maxStreams && !this.dropEnded() && !force) {
+        const error = new Error(`Too many live log streams (${this.maxStreams} open)`);
+        error.status = 503;
+        throw error;
+      }
+
+      stream = new BuildStream({
+        capture: this.capture,
+        jobName,
+        buildNumber: parseInt(buildNumber, 10),
+        pollInterval: this.pollInterval,
+        maxBufferBytes: this.maxBufferBytes,
+      });
+      this.streams.set(key, stream);
+      logger.info(`📡 Started shared log stream for ${key}`);
+      stream.on('idle', () => this.closeIfIdle(key, stream));
+      stream.start().then(() => {
+        const timer = setTimeout(() => {
+          if (this.streams.get(key) === stream) this.streams.delete(key);
+        }, this.retainMs);
+        timer.unref();
+      });
+    }
+    return stream;
+  }
+
+  /**
+   * Close a running build's stream if it still has no subscriber after idleMs
+   */
+  closeIfIdle(key, stream) {
+    const timer = setTimeout(() => {
+      if (stream.subscribers === 0 && !stream.ended && this.streams.get(key) === stream) {
+        logger.info(`📴 Closed shared log stream for ${key}: no subscribers`);
+        this.streams.delete(key);
+        stream.close();
+      }
+    }, this.idleMs);
+    timer.unref();
+  }
+
+  /**
+   * Drop the oldest ended stream
+   * @returns {boolean} false if every stream is still running
+   */
+  dropEnded() {
+    for (const [key, stream] of this.streams) {
+      if (stream.ended) {
+        this.streams.delete(key);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Summary of the streams for /status
+   */
+  list() {
+    return Array.from(this.streams.values()).map(stream => ({
+      build: stream.key,
+      subscribers: stream.subscribers,
+      bytes: stream.offset,
+      ended: Boolean(stream.ended),
+    }));
+  }
+
+  close() {
+    this.streams.forEach(stream => stream.close());
+  }
+}
+
+module.exports = BuildStreamHub;
+module.exports.BuildStream = BuildStream;
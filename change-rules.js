@@ -0,0 +1,188 @@
+/**
+ * Rules for Port change-log events
+ * A rule matches entity changes by blueprint, operation (create/update/delete),
+ * changed properties and conditions on the before/after entity, and triggers a
+ * Jenkins job or a registered action handler with values templated from the
+ * change.
+ *
+ * Rule shape:
+ * {
+ *   "name": "redeploy-on-version-change",
+ *   "blueprint": "service",                  // identifier, glob or array
+ *   "operation": ["update"],                 // create, update, delete (default: any)
+ *   "changed": ["version"],                  // any of these properties differs between before and after
+ *   "when": { "after.properties.environment": ["staging", "production"] },
+ *   "jenkins": { "job": "deploy/{{after.identifier}}", "server": "eu", "parameters": { "VERSION": "{{after.properties.version}}" } }
+ *   // or "handler": "<action identifier>", "properties": { ... }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./action-handler-registry');
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+const TEMPLATE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_TEMPLATE = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+/**
+ * Read a dotted path ("after.properties.version") from an object
+ */
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Render templates in a value
+ * A string that is a single template keeps the referenced value's type;
+ * templates inside a longer string are interpolated (objects as JSON).
+ * Objects and arrays are rendered recursively.
+ */
+function renderTemplate(value, scope) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_TEMPLATE);
+    if (whole) {
+      return getPath(scope, whole[1]);
+    }
+    return value.replace(TEMPLATE, (match, dottedPath) => {
+      const resolved = getPath(scope, dottedPath);
+      if (resolved === undefined || resolved === null) return '';
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, scope));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, scope)]));
+  }
+  return value;
+}
+
+/**
+ * Normalise a change-log message
+ * @returns {{operation: string, blueprint: string, identifier: string, before: Object|null, after: Object|null, trigger: Object}|null}
+ *   null for messages that are not entity changes
+ */
+function parseEntityChange(message) {
+  if (!message || message.resourceType !== 'entity') return null;
+
+  const before = message.diff?.before || null;
+  const after = message.diff?.after || null;
+  return {
+    operation: String(message.action || '').toLowerCase(),
+    blueprint: message.context?.blueprint || after?.blueprint || before?.blueprint,
+    identifier: message.context?.entity || after?.identifier || before?.identifier,
+    before,
+    after,
+    trigger: message.trigger || {},
+  };
+}
+
+function toMatcher(value) {
+  if (value === undefined || value === null || value === '*') return () => true;
+  const patterns = [].concat(value).map(item => (/[*?]/.test(item) ? globToRegExp(item) : null));
+  const values = [].concat(value);
+  return (candidate) => values.some((item, index) => (patterns[index] ? patterns[index].test(candidate || '') : item === candidate));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compiled change rules
+ */
+class ChangeRuleEngine {
+  /**
+   * @param {Array<Object>} rules
+   */
+  constructor(rules = []) {
+    this.rules = rules.map((rule, index) => this.compile(rule, index));
+  }
+
+  compile(rule, index) {
+    const name = rule.name || `rule-${index + 1}`;
+    const operations = rule.operation ? [].concat(rule.operation).map(op => String(op).toLowerCase()) : OPERATIONS;
+    const invalid = operations.filter(op => !OPERATIONS.includes(op));
+    if (invalid.length > 0) {
+      throw new Error(`Change rule ${name}: invalid operation ${invalid.join(', ')} (expected ${OPERATIONS.join(', ')})`);
+    }
+    if (!rule.jenkins && !rule.handler) {
+      throw new Error(`Change rule ${name}: needs a "jenkins" or "handler" target`);
+    }
+    if (rule.jenkins && !rule.jenkins.job) {
+      throw new Error(`Change rule ${name}: jenkins.job is required`);
+    }
+
+    return {
+      ...rule,
+      name,
+      operations,
+      matchesBlueprint: toMatcher(rule.blueprint),
+      changed: rule.changed ? [].concat(rule.changed) : [],
+      when: rule.when || {},
+    };
+  }
+
+  /**
+   * Rules matching a change
+   * @param {Object} change - From parseEntityChange
+   * @returns {Array<{rule: Object, scope: Object}>} Each with the template scope for the change
+   */
+  match(change) {
+    if (!change) return [];
+
+    const scope = {
+      operation: change.operation,
+      blueprint: change.blueprint,
+      identifier: change.identifier,
+      before: change.before || {},
+      after: change.after || {},
+      entity: change.after || change.before || {},
+      trigger: change.trigger,
+    };
+
+    return this.rules
+      .filter(rule => rule.operations.includes(change.operation))
+      .filter(rule => rule.matchesBlueprint(change.blueprint))
+      .filter(rule => rule.changed.length === 0 || rule.changed.some(property =>
+        !isEqual(change.before?.properties?.[property], change.after?.properties?.[property])
+      ))
+      .filter(rule => Object.entries(rule.when).every(([dottedPath, expected]) => {
+        const actual = getPath(scope, dottedPath);
+        return Array.isArray(expected) ? expected.some(item => isEqual(item, actual)) : isEqual(expected, actual);
+      }))
+      .map(rule => ({ rule, scope }));
+  }
+}
+
+/**
+ * Load rules from a .json file (array, or { rules: [...] }) or a .js module
+ */
+function loadChangeRules(filePath) {
+  if (!filePath) return [];
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Change rules file not found: ${resolved}`);
+  }
+
+  let loaded;
+  if (resolved.endsWith('.js')) {
+    loaded = require(resolved);
+  } else {
+    try {
+      loaded = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid change rules file ${resolved}: ${error.message}`);
+    }
+  }
+  return Array.isArray(loaded) ? loaded : loaded.rules || [];
+}
+
+module.exports = ChangeRuleEngine;
+module.exports.OPERATIONS = OPERATIONS;
+module.exports.renderTemplate = renderTemplate;
+module.exports.parseEntityChange = parseEntityChange;
+module.exports.loadChangeRules = loadChangeRules;
@@ -0,0 +1,567 @@
+/**
+ * Failure analysis of Jenkins build logs
+ * A rule library recognises common failures (compiler errors, test failures,
+ * npm / Maven / Gradle errors, out-of-memory kills, timeouts) in the log as it
+ * streams. When the build fails, the analysis names the failing stage, the
+ * likely cause and the first error block, for the Port run.
+ *
+ * Rule shape:
+ * {
+ *   "name": "npm-error-code",
+ *   "category": "npm",                        // compiler, test, npm, maven, oom, timeout, ...
+ *   "pattern": "^npm (?:ERR!|error) code (\\S+)",   // regex or array of regexes
+ *   "flags": "i",                             // optional regex flags
+ *   "priority": 50,                           // the highest-priority match is the likely cause
+ *   "cause": "npm failed with {{match.1}}",   // templated with the match groups
+ *   "hint": "E404: missing package or version" // optional
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./change-rules');
+const { STAGE_STATUS } = require('./jenkins-log-capture');
+const LogScanner = require('./log-scanner');
+const { flattenTree, MAX_LABEL_LENGTH } = require('./pipeline-tree');
+
+const MAX_CAUSE_LENGTH = 200;
+const MAX_LINE_LENGTH = 300;
+
+/**
+ * Built-in rules, most specific first within a category
+ */
+const DEFAULT_FAILURE_RULES = [
+  // Out of memory
+  {
+    name: 'java-oom',
+    category: 'oom',
+    priority: 90,
+    pattern: 'java\\.lang\\.OutOfMemoryError(?::.*)?',
+    cause: 'Java ran out of memory: {{match.0}}',
+    hint: 'Raise the JVM heap (-Xmx, MAVEN_OPTS, org.gradle.jvmargs) or the agent memory',
+  },
+  {
+    name: 'node-heap-oom',
+    category: 'oom',
+    priority: 90,
+    pattern: 'JavaScript heap out of memory',
+    cause: 'Node.js ran out of heap memory',
+    hint: 'Raise --max-old-space-size in NODE_OPTIONS or the agent memory',
+  },
+  {
+    name: 'process-killed',
+    category: 'oom',
+    priority: 85,
+    pattern: ['OOMKilled', '\\bexit code 137\\b', '^Killed$'],
+    cause: 'A process was killed, most likely for running out of memory (exit code 137)',
+    hint: 'Check the memory limit of the agent or container',
+  },
+
+  // Timeouts
+  {
+    name: 'jenkins-timeout',
+    category: 'timeout',
+    priority: 80,
+    pattern: ['Timeout has been exceeded', 'Cancelling nested steps due to timeout', 'Build timed out \\(after \\d+ minutes\\)'],
+    cause: 'The build hit a Jenkins timeout: {{match.0}}',
+    hint: 'Find the step that hung in the log, or raise the timeout',
+  },
+  {
+    name: 'network-timeout',
+    category: 'timeout',
+    priority: 40,
+    pattern: ['\\bETIMEDOUT\\b', '\\b(?:Connect|Read|Socket)TimeoutException\\b', '\\btimed out after\\b'],
+    flags: 'i',
+    cause: 'A network call timed out: {{match.0}}',
+    hint: 'Check that the registry or service is reachable from the agent',
+  },
+
+  // Compiler errors
+  {
+    name: 'javac-error',
+    category: 'compiler',
+    priority: 70,
+    pattern: '^(\\S+\\.java):(\\d+): error: (.+)',
+    cause: 'Compilation error in {{match.1}}:{{match.2}}: {{match.3}}',
+  },
+  {
+    name: 'maven-compiler-error',
+    category: 'compiler',
+    priority: 70,
+    pattern: '^\\[ERROR\\] (\\S+\\.(?:java|kt|scala)):\\[(\\d+),\\d+\\] (.+)',
+    cause: 'Compilation error in {{match.1}}:{{match.2}}: {{match.3}}',
+  },
+  {
+    name: 'typescript-error',
+    category: 'compiler',
+    priority: 70,
+    pattern: '^(\\S+\\.tsx?)(?:\\(\\d+,\\d+\\)|:\\d+:\\d+)(?::| -) error (TS\\d+): (.+)',
+    cause: 'TypeScript error {{match.2}} in {{match.1}}: {{match.3}}',
+  },
+  {
+    name: 'c-compiler-error',
+    category: 'compiler',
+    priority: 70,
+    pattern: '^(\\S+\\.(?:c|cc|cpp|cxx|h|hpp|m|swift)):(\\d+):(?:\\d+:)? (?:fatal )?error: (.+)',
+    cause: 'Compilation error in {{match.1}}:{{match.2}}: {{match.3}}',
+  },
+  {
+    name: 'rust-error',
+    category: 'compiler',
+    priority: 70,
+    pattern: '^error\\[(E\\d+)\\]: (.+)',
+    cause: 'Rust compile error {{match.1}}: {{match.2}}',
+  },
+
+  // Test failures
+  {
+    name: 'maven-test-class',
+    category: 'test',
+    priority: 60,
+    pattern: '^\\[ERROR\\] Tests run: .*<<< FAIL(?:URE|ED)!.* in (\\S+)',
+    cause: 'Tests failed in {{match.1}}',
+  },
+  {
+    name: 'maven-test-summary',
+    category: 'test',
+    priority: 60,
+    pattern: '^\\[ERROR\\] Tests run: (\\d+), Failures: (\\d+), Errors: (\\d+)',
+    cause: 'Tests failed: {{match.2}} failures and {{match.3}} errors in {{match.1}} tests',
+  },
+  {
+    name: 'jest-suite',
+    category: 'test',
+    priority: 60,
+    pattern: '^FAIL\\s+(\\S+\\.\\w+)',
+    cause: 'Test suite failed: {{match.1}}',
+  },
+  {
+    name: 'jest-summary',
+    category: 'test',
+    priority: 60,
+    pattern: '^Tests:\\s+(\\d+) failed',
+    cause: '{{match.1}} test(s) failed',
+  },
+  {
+    name: 'pytest-summary',
+    category: 'test',
+    priority: 60,
+    pattern: '^=+ .*?\\b(\\d+) failed',
+    cause: '{{match.1}} pytest test(s) failed',
+  },
+  {
+    name: 'go-test',
+    category: 'test',
+    priority: 60,
+    pattern: '^\\s*--- FAIL: (\\S+)',
+    cause: 'Go test failed: {{match.1}}',
+  },
+  {
+    name: 'gradle-tests',
+    category: 'test',
+    priority: 60,
+    pattern: '^(\\d+) tests? completed, (\\d+) failed',
+    cause: '{{match.2}} of {{match.1}} Gradle tests failed',
+  },
+
+  // npm
+  {
+    name: 'npm-missing-script',
+    category: 'npm',
+    priority: 55,
+    pattern: '^npm (?:ERR!|error) Missing script: "?([^"\\s]+)"?',
+    cause: 'npm script "{{match.1}}" does not exist',
+    hint: 'Check the script name against package.json',
+  },
+  {
+    name: 'npm-error-code',
+    category: 'npm',
+    priority: 50,
+    pattern: '^npm (?:ERR!|error) code (\\S+)',
+    cause: 'npm failed with {{match.1}}',
+    hint: 'E404: a missing package or version; ERESOLVE: conflicting peer dependencies; EACCES / E401: registry credentials',
+  },
+  {
+    name: 'npm-lifecycle',
+    category: 'npm',
+    priority: 45,
+    pattern: 'Lifecycle script `([^`]+)` failed',
+    cause: 'npm script "{{match.1}}" failed',
+  },
+
+  // Maven and Gradle
+  {
+    name: 'maven-dependencies',
+    category: 'maven',
+    priority: 55,
+    pattern: 'Could not resolve dependencies for project (\\S+)',
+    cause: 'Maven could not resolve the dependencies of {{match.1}}',
+    hint: 'Check the repository settings and that the versions exist',
+  },
+  {
+    name: 'maven-goal',
+    category: 'maven',
+    priority: 45,
+    pattern: '^\\[ERROR\\] Failed to execute goal (\\S+)(?: \\([^)]*\\))? on project ([^:]+): (.+)',
+    cause: 'Maven goal {{match.1}} failed on {{match.2}}: {{match.3}}',
+  },
+  {
+    name: 'gradle-task',
+    category: 'gradle',
+    priority: 45,
+    pattern: "^Execution failed for task '([^']+)'",
+    cause: 'Gradle task {{match.1}} failed',
+  },
+
+  // Generic errors, used when nothing more specific matched
+  {
+    name: 'script-exit-code',
+    category: 'generic',
+    priority: 10,
+    pattern: 'script returned exit code (\\d+)',
+    cause: 'A script step exited with code {{match.1}}',
+  },
+  {
+    name: 'jenkins-error',
+    category: 'generic',
+    priority: 5,
+    pattern: '^ERROR: (.+)',
+    cause: '{{match.1}}',
+  },
+];
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Nodes of a stage path, for matching log stages to tree nodes
+ * ("Test / Branch: e2e" -> ["Test", "e2e"])
+ */
+function stageNames(stage) {
+  return stage ? stage.split(' / ').map(name => name.replace(/^Branch: /, '')) : [];
+}
+
+/**
+ * Error raised for a build that did not succeed
+ * Carries the analysis and the status label to end the Port run with.
+ */
+class BuildFailedError extends Error {
+  constructor({ result, analysis = null, statusLabel = null }) {
+    const cause = analysis?.cause ? ` - ${analysis.cause.message}` : '';
+    super(`Jenkins build failed with status: ${result}${cause}`);
+    this.name = 'BuildFailedError';
+    this.result = result;
+    this.analysis = analysis;
+    this.statusLabel = statusLabel;
+  }
+}
+
+/**
+ * Analysis of one build's log, fed as it streams
+ * Only the first match of each rule per stage, the first error block of each
+ * stage and the last lines are kept, so memory does not grow with the log.
+ * Line numbers count from where the analysis started (the resume offset for
+ * a resumed run).
+ */
+class FailureAnalysis {
+  /**
+   * @param {Array<Object>} rules - Compiled rules, highest priority first
+   * @param {Object} options
+   * @param {number} options.contextLines - Lines kept before an error block
+   * @param {number} options.maxBlockLines - Longest error block
+   */
+  constructor(rules, { contextLines = 2, maxBlockLines = 12 } = {}) {
+    this.rules = rules;
+    this.contextLines = contextLines;
+    this.maxBlockLines = maxBlockLines;
+    this.scanner = new LogScanner();
+    this.partial = '';
+    this.context = [];
+    this.recent = [];
+    this.matches = new Map();
+    this.blocks = new Map();
+    this.openBlock = null;
+  }
+
+  /**
+   * Add log text (normalised, masked); a trailing partial line is kept for the next write
+   */
+  write(text) {
+    if (!text) return;
+    const lines = (this.partial + text).split('\n');
+    this.partial = lines.pop();
+    lines.forEach(line => this.pushLine(line));
+  }
+
+  pushLine(line) {
+    // Pipeline step lines ("[Pipeline] sh") end an error block and are left
+    // out of its context
+    const isBlockMarker = this.scanner.push(line);
+    const isMarker = isBlockMarker || line.startsWith('[Pipeline] ');
+    const lineNumber = this.scanner.lines;
+    const stage = this.scanner.currentStage;
+
+    if (this.openBlock) {
+      const block = this.openBlock;
+      if (isMarker || !line.trim() || block.lines.length >= this.maxBlockLines) {
+        this.openBlock = null;
+      } else {
+        block.lines.push(truncate(line, MAX_LINE_LENGTH));
+      }
+    }
+
+    if (!isMarker) {
+      const hit = this.match(line);
+      if (hit) {
+        const key = `${hit.rule.name}\n${stage}`;
+        const existing = this.matches.get(key);
+        if (existing) {
+          existing.count++;
+        } else {
+          this.matches.set(key, { ...hit, stage, line: lineNumber, count: 1 });
+        }
+
+        if (!this.openBlock && !this.blocks.has(stage)) {
+          const before = this.contextLines > 0 ? this.context.slice(-this.contextLines) : [];
+          this.openBlock = {
+            stage,
+            line: lineNumber,
+            lines: [...before, truncate(line, MAX_LINE_LENGTH)],
+          };
+          this.blocks.set(stage, this.openBlock);
+        }
+      }
+    }
+
+    // Context does not reach back into another stage
+    if (isBlockMarker) {
+      this.context = [];
+    } else if (!isMarker) {
+      this.context.push(truncate(line, MAX_LINE_LENGTH));
+      if (this.context.length > this.contextLines) this.context.shift();
+      this.recent.push(truncate(line, MAX_LINE_LENGTH));
+      if (this.recent.length > this.maxBlockLines) {
+        this.recent.shift();
+      }
+    }
+  }
+
+  /**
+   * First rule matching a line
+   */
+  match(line) {
+    for (const rule of this.rules) {
+      for (const pattern of rule.patterns) {
+        const match = line.match(pattern);
+        if (match) {
+          const message = renderTemplate(rule.cause, { match: Array.from(match), line }) || line;
+          return { rule, message: truncate(message.trim(), MAX_CAUSE_LENGTH) };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Conclude the analysis
+   * The failing stage comes from the pipeline tree (the innermost failed
+   * node), or else the first stage with an error. The likely cause is the
+   * highest-priority match in that stage (the earliest on ties), and the
+   * error block the first one in that stage.
+   * @param {Object} build
+   * @param {Object} build.tree - Pipeline tree from PipelineFollower
+   * @param {string} build.result - Jenkins build result
+   * @returns {{result: string, failingStage: string|null, cause: Object|null, block: Object|null, matches: Array<Object>}}
+   */
+  finish({ tree = null, result = null } = {}) {
+    if (this.partial) {
+      this.pushLine(this.partial);
+      this.partial = '';
+    }
+
+    const failingNode = tree ? findFailingNode(tree) : null;
+    const matches = Array.from(this.matches.values()).sort((a, b) => a.line - b.line);
+    const inFailingNode = (stage) => Boolean(failingNode) && stageNames(stage).includes(failingNode.node.name);
+
+    // A failed downstream build's log is not in this one: fall back to all matches
+    const candidates = matches.some(match => inFailingNode(match.stage))
+      ? matches.filter(match => inFailingNode(match.stage))
+      : matches;
+    const best = candidates.reduce((top, match) => (!top || match.rule.priority > top.rule.priority ? match : top), null);
+
+    const blocks = Array.from(this.blocks.values()).sort((a, b) => a.line - b.line);
+    const block = blocks.find(candidate => inFailingNode(candidate.stage))
+      || (best && blocks.find(candidate => candidate.stage === best.stage))
+      || blocks[0]
+      || (this.recent.length > 0 ? { stage: null, line: null, lines: [...this.recent], tail: true } : null);
+
+    return {
+      result,
+      failingStage: failingNode?.path || best?.stage || null,
+      cause: best && {
+        rule: best.rule.name,
+        category: best.rule.category,
+        message: best.message,
+        hint: best.rule.hint || null,
+        stage: best.stage,
+        line: best.line,
+      },
+      block: block && { stage: block.stage, line: block.line, lines: block.lines, tail: Boolean(block.tail) },
+      matches: matches.map(match => ({
+        rule: match.rule.name,
+        category: match.rule.category,
+        stage: match.stage,
+        line: match.line,
+        count: match.count,
+      })),
+    };
+  }
+}
+
+/**
+ * Innermost failed node of a pipeline tree
+ * FAILED nodes are preferred, then UNSTABLE, then ABORTED (e.g. timeouts).
+ * @returns {{path: string, node: Object}|null}
+ */
+function findFailingNode(tree) {
+  const nodes = flattenTree(tree.children || []);
+  for (const status of [STAGE_STATUS.FAILED, 'UNSTABLE', STAGE_STATUS.ABORTED]) {
+    const failed = nodes.filter(({ node }) => node.status === status);
+    const innermost = failed.find(({ node }) => !node.children.some(child => child.status === status));
+    if (innermost) return innermost;
+  }
+  return null;
+}
+
+/**
+ * Compiled failure rule library
+ */
+class FailureAnalyzer {
+  /**
+   * @param {Array<Object>} rules - Custom rules, checked before the built-in ones;
+   *   a custom rule named like a built-in one replaces it, and `"enabled": false` turns it off
+   * @param {Object} options
+   * @param {boolean} options.defaults - Include the built-in rules (default true)
+   */
+  constructor(rules = [], { defaults = true } = {}) {
+    const custom = new Set(rules.map(rule => rule.name).filter(Boolean));
+    const all = [
+      ...rules,
+      ...(defaults ? DEFAULT_FAILURE_RULES.filter(rule => !custom.has(rule.name)) : []),
+    ];
+
+    // Stable sort: among equal priorities, custom rules and the listed order win
+    this.rules = all
+      .map((rule, index) => this.compile(rule, index))
+      .filter(rule => rule.enabled !== false)
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  compile(rule, index) {
+    const name = rule.name || `rule-${index + 1}`;
+    const patterns = [].concat(rule.pattern || []);
+    if (rule.enabled !== false && patterns.length === 0) {
+      throw new Error(`Failure rule ${name}: needs a "pattern"`);
+    }
+
+    return {
+      ...rule,
+      name,
+      category: rule.category || 'custom',
+      priority: Number.isFinite(rule.priority) ? rule.priority : 50,
+      cause: rule.cause || '{{line}}',
+      patterns: patterns.map(pattern => {
+        try {
+          return new RegExp(pattern, rule.flags || '');
+        } catch (error) {
+          throw new Error(`Failure rule ${name}: invalid pattern ${pattern}: ${error.message}`);
+        }
+      }),
+    };
+  }
+
+  /**
+   * Start analysing a build's log
+   * @returns {FailureAnalysis}
+   */
+  createAnalysis(options) {
+    return new FailureAnalysis(this.rules, options);
+  }
+}
+
+/**
+ * Highlighted summary of an analysis for the Port run log
+ */
+function formatFailureSummary(analysis) {
+  const rule = '═'.repeat(80);
+  const lines = [`🔍 Failure analysis (${analysis.result})`, rule];
+
+  lines.push(`❌ Failing stage: ${analysis.failingStage || 'unknown'}`);
+  if (analysis.cause) {
+    lines.push(`💡 Likely cause: ${analysis.cause.message} [${analysis.cause.category}]`);
+    if (analysis.cause.hint) {
+      lines.push(`   Hint: ${analysis.cause.hint}`);
+    }
+  } else {
+    lines.push('💡 Likely cause: no known failure pattern matched, see the last lines of the log below');
+  }
+
+  if (analysis.block) {
+    const where = analysis.block.stage ? ` in ${analysis.block.stage}` : '';
+    lines.push('', analysis.block.tail ? '📄 Last lines of the log:' : `📄 First error${where}:`);
+    analysis.block.lines.forEach(line => lines.push(`  │ ${line}`));
+  }
+
+  const others = analysis.matches.filter(match => !analysis.cause || match.rule !== analysis.cause.rule || match.stage !== analysis.cause.stage);
+  if (others.length > 0) {
+    const listed = others.slice(0, 5).map(match => `${match.rule}${match.count > 1 ? ` ×${match.count}` : ''}${match.stage ? ` (${match.stage})` : ''}`);
+    lines.push('', `Also matched: ${listed.join(', ')}${others.length > 5 ? `, +${others.length - 5} more` : ''}`);
+  }
+
+  lines.push(rule);
+  return lines.join('\n');
+}
+
+/**
+ * Final status label of a failed build, e.g.
+ * "Build FAILURE (84.20s) - ❌ Build › Compile: Compilation error in src/App.java:12: ..."
+ */
+function formatFailureLabel(analysis, duration) {
+  const parts = [`Build ${analysis.result} (${duration}s)`];
+  const detail = [analysis.failingStage && `❌ ${analysis.failingStage}`, analysis.cause?.message].filter(Boolean).join(': ');
+  if (detail) parts.push(detail);
+  return truncate(parts.join(' - '), MAX_LABEL_LENGTH);
+}
+
+/**
+ * Load rules from a .json file (array, or { rules: [...] }) or a .js module
+ */
+function loadFailureRules(filePath) {
+  if (!filePath) return [];
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Failure rules file not found: ${resolved}`);
+  }
+
+  let loaded;
+  if (resolved.endsWith('.js')) {
+    loaded = require(resolved);
+  } else {
+    try {
+      loaded = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid failure rules file ${resolved}: ${error.message}`);
+    }
+  }
+  return Array.isArray(loaded) ? loaded : loaded.rules || [];
+}
+
+module.exports = FailureAnalyzer;
+module.exports.FailureAnalysis = FailureAnalysis;
+module.exports.BuildFailedError = BuildFailedError;
+module.exports.DEFAULT_FAILURE_RULES = DEFAULT_FAILURE_RULES;
+module.exports.findFailingNode = findFailingNode;
+module.exports.formatFailureSummary = formatFailureSummary;
+module.exports.formatFailureLabel = formatFailureLabel;
+module.exports.loadFailureRules = loadFailureRules;
@@ -0,0 +1,36 @@
+/**
+ * Example: Handle VM creation
+ * Simulates provisioning a VM and registers it as a `vm` entity in Port.
+ */
+module.exports = {
+  match: 'create_vm',
+
+  /**
+   * @param {import('../action-handler-registry').ActionContext} ctx
+   */
+  handle: async (ctx) => {
+    const properties = ctx.properties;
+
+    await ctx.log('Creating VM with specifications...');
+
+    // Simulate VM creation
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    await ctx.log(`VM created with ${properties.cpu_cores || 2} CPU cores, ${properties.memory_size || 4}GB RAM`);
+
+    // Create entity in Port
+    const entityData = {
+      identifier: properties.title?.replace(/\s+/g, '-').toLowerCase() || `vm-${Date.now()}`,
+      title: properties.title || 'New VM',
+      properties: {
+        cpu_cores: properties.cpu_cores || 2,
+        memory_size: properties.memory_size || 4,
+        storage_size: properties.storage_size || 100,
+        region: properties.region || 'us-east-1',
+        status: 'Running',
+      },
+    };
+
+    await ctx.upsertEntity('vm', entityData);
+  },
+};
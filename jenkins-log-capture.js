@@ -1,8 +1,10 @@
 require('dotenv').config();
 const axios = require('./axios-config');
-const fs = require('fs');
-const path = require('path');
 const logger = require('./logger');
+const SecretMasker = require('./secret-masker');
+const LogArchive = require('./log-archive');
+const { jobFileName } = require('./log-archive');
+const { createNormalizerStream, renderLines, normalizeLog, parseLogFormat } = require('./log-normalizer');
 
 /**
  * Jenkins Build Status Constants
@@ -27,6 +29,63 @@ const STAGE_STATUS = {
   NOT_EXECUTED: 'NOT_EXECUTED'
 };
 
+/**
+ * Queue item wait defaults
+ */
+const QUEUE_DEFAULTS = {
+  TIMEOUT: 300000,
+  POLL_INTERVAL: 1000,
+  STUCK_THRESHOLD: 30000
+};
+
+/**
+ * Sleep that ends early (rejecting with the abort reason) when the signal is aborted
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Expand a job's full name into its URL path
+ * Folder and multibranch jobs are nested, one `/job/<name>` segment per level,
+ * and each name is URL-encoded: `team/service` -> `/job/team/job/service`,
+ * `repo/feature%2Fx` (a multibranch branch job) -> `/job/repo/job/feature%252Fx`.
+ * @param {string} jobName - Full name as Jenkins reports it (fullName)
+ */
+function jobPath(jobName) {
+  return String(jobName)
+    .split('/')
+    .filter(Boolean)
+    .map(segment => `/job/${encodeURIComponent(segment)}`)
+    .join('');
+}
+
+/**
+ * Blue Ocean REST path of a pipeline run (nested items joined with /pipelines/)
+ */
+function blueOceanRunPath(jobName, buildNumber) {
+  const pipelines = String(jobName)
+    .split('/')
+    .filter(Boolean)
+    .map(segment => encodeURIComponent(segment))
+    .join('/pipelines/');
+  return `/blue/rest/organizations/jenkins/pipelines/${pipelines}/runs/${buildNumber}`;
+}
+
 /**
  * Jenkins Log Capture Application
  * Captures logs from Jenkins pipeline builds using Jenkins REST API
@@ -38,6 +97,20 @@ class JenkinsLogCapture {
     this.apiToken = config.apiToken;
     this.jobName = config.jobName;
     this.timeout = config.timeout || 30000;
+    this.queueTimeout = config.queueTimeout || QUEUE_DEFAULTS.TIMEOUT;
+    this.queuePollInterval = config.queuePollInterval || QUEUE_DEFAULTS.POLL_INTERVAL;
+    this.queueStuckThreshold = config.queueStuckThreshold || QUEUE_DEFAULTS.STUCK_THRESHOLD;
+    this.masker = config.masker || SecretMasker.fromEnv();
+    this.logger = config.logger || logger;
+    this.archive = config.archive || null;
+
+    // Log source (progressiveText or progressiveHtml) and per-sink output formats
+    this.logSource = config.logSource || process.env.JENKINS_LOG_SOURCE || 'text';
+    if (!['text', 'html'].includes(this.logSource)) {
+      throw new Error(`Invalid JENKINS_LOG_SOURCE '${this.logSource}'. Expected 'text' or 'html'`);
+    }
+    this.consoleLogFormat = parseLogFormat(config.consoleLogFormat || process.env.CONSOLE_LOG_FORMAT, 'raw');
+    this.fileLogFormat = parseLogFormat(config.fileLogFormat || process.env.FILE_LOG_FORMAT, 'clean');
     
     // Create axios instance with authentication
     // Retry logic is handled by axios-config globally
@@ -56,20 +129,91 @@ class JenkinsLogCapture {
 
   // Retry logic removed - now handled by axios-config globally
 
+  /**
+   * View of this client that logs through another logger
+   * Shares the configuration and HTTP client; used to tag everything a run
+   * does in Jenkins with the run's correlation fields.
+   * @param {winston.Logger} childLogger - e.g. logger.child({ runId, jobName, buildNumber })
+   * @returns {JenkinsLogCapture}
+   */
+  withLogger(childLogger) {
+    return Object.create(this, { logger: { value: childLogger } });
+  }
+
+  /**
+   * Absolute URL of a job
+   */
+  jobUrl(jobName = null) {
+    return `${this.jenkinsUrl}${jobPath(jobName || this.jobName)}`;
+  }
+
+  /**
+   * Absolute URL of a build
+   */
+  buildUrl(buildNumber, jobName = null) {
+    return `${this.jobUrl(jobName)}/${buildNumber}/`;
+  }
+
   /**
    * Get the latest build number for a job
    */
   async getLatestBuildNumber(jobName = null) {
     const job = jobName || this.jobName;
     try {
-      const response = await this.client.get(`/job/${job}/api/json`);
+      const response = await this.client.get(`${jobPath(job)}/api/json`);
       return response.data.lastBuild?.number || null;
     } catch (error) {
-      logger.error(`Failed to get latest build for ${job}: ${error.message}`);
+      this.logger.error(`Failed to get latest build for ${job}: ${error.message}`);
       throw new Error(`Failed to get latest build: ${error.message}`);
     }
   }
 
+  /**
+   * Get the parameters a job declares (its parametersDefinitionProperty)
+   * @returns {Promise<Array<{name: string, type: string, choices: Array<string>|null, defaultValue: *, description: string}>>}
+   *   type is the definition class without its suffix, e.g. 'String', 'Choice', 'Boolean', 'File'
+   */
+  async getJobParameters(jobName = null) {
+    const job = jobName || this.jobName;
+    try {
+      const response = await this.client.get(`${jobPath(job)}/api/json`, {
+        params: { tree: 'property[parameterDefinitions[name,type,description,choices,defaultParameterValue[value]]]' }
+      });
+
+      const definitions = (response.data.property || [])
+        .flatMap(property => property?.parameterDefinitions || []);
+
+      return definitions.map(definition => ({
+        name: definition.name,
+        type: (definition.type || '').replace(/ParameterDefinition$/, ''),
+        choices: definition.choices || null,
+        defaultValue: definition.defaultParameterValue?.value,
+        description: definition.description || ''
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to get parameters for ${job}: ${error.message}`);
+      throw new Error(`Failed to get job parameters: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the parameter values a build ran with
+   * @returns {Promise<Object>} Parameter name -> value
+   */
+  async getBuildParameters(buildNumber, jobName = null) {
+    const job = jobName || this.jobName;
+    try {
+      const response = await this.client.get(`${jobPath(job)}/${buildNumber}/api/json`, {
+        params: { tree: 'actions[parameters[name,value]]' }
+      });
+      const parameters = (response.data.actions || []).flatMap(action => action?.parameters || []);
+      return Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.value]));
+    } catch (error) {
+      this.logger.error(`Failed to get parameters of ${job} #${buildNumber}: ${error.message}`);
+      throw new Error(`Failed to get build parameters: ${error.message}`);
+    }
+  }
+
   /**
    * Get all stages for a build using Jenkins Workflow API
    */
@@ -77,7 +221,7 @@ class JenkinsLogCapture {
     const job = jobName || this.jobName;
     try {
       const response = await this.client.get(
-        `/job/${job}/${buildNumber}/wfapi/describe`,
+        `${jobPath(job)}/${buildNumber}/wfapi/describe`,
         { timeout: 10000 }
       );
       
@@ -89,14 +233,86 @@ class JenkinsLogCapture {
       }));
     } catch (error) {
       if (error.response?.status === 404) {
-        logger.error(`Workflow API not available (404). Install 'Pipeline: Stage View Plugin' in Jenkins.`);
+        this.logger.error(`Workflow API not available (404). Install 'Pipeline: Stage View Plugin' in Jenkins.`);
       } else {
-        logger.warn(`Could not get stages info: ${error.message}`);
+        this.logger.warn(`Could not get stages info: ${error.message}`);
       }
       return [];
     }
   }
 
+  /**
+   * Get the flow nodes of a pipeline build from the Blue Ocean REST API
+   * Unlike wfapi/describe this includes parallel branches (type PARALLEL) and
+   * the stages nested in them; firstParent links a node to the graph.
+   * @returns {Promise<Array<{id: string, name: string, type: string, firstParent: string|null, state: string, result: string, durationMillis: number}>|null>}
+   *   null if Blue Ocean is not available
+   */
+  async getPipelineNodes(buildNumber, jobName = null) {
+    const job = jobName || this.jobName;
+    try {
+      const response = await this.client.get(
+        `${blueOceanRunPath(job, buildNumber)}/nodes/`,
+        { timeout: 10000, 'axios-retry': { retries: 0 } }
+      );
+      return (response.data || []).map(node => ({
+        id: node.id,
+        name: node.displayName,
+        type: node.type,
+        firstParent: node.firstParent || null,
+        state: node.state,
+        result: node.result,
+        durationMillis: node.durationInMillis || 0
+      }));
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw new Error(`Failed to get pipeline nodes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the log of one flow node (e.g. a parallel branch) from an offset
+   * @returns {Promise<{text: string, nextOffset: number, more: boolean}>}
+   */
+  async getNodeLog(buildNumber, nodeId, start = 0, jobName = null) {
+    const job = jobName || this.jobName;
+    const response = await this.client.get(
+      `${blueOceanRunPath(job, buildNumber)}/nodes/${encodeURIComponent(nodeId)}/log/`,
+      { params: { start }, responseType: 'text', timeout: 10000 }
+    );
+    const size = parseInt(response.headers['x-text-size'], 10);
+    return {
+      text: response.data || '',
+      nextOffset: Number.isNaN(size) ? start : size,
+      more: response.headers['x-more-data'] === 'true'
+    };
+  }
+
+  /**
+   * Get the builds a pipeline started with the `build` step
+   * Read from the DownstreamBuildAction of newer Pipeline: Build Step versions;
+   * builds that are still queued are not included.
+   * @returns {Promise<Array<{jobName: string, buildNumber: number}>>}
+   */
+  async getDownstreamBuilds(buildNumber, jobName = null) {
+    const job = jobName || this.jobName;
+    try {
+      const response = await this.client.get(`${jobPath(job)}/${buildNumber}/api/json`, {
+        params: { tree: 'actions[downstreamBuilds[jobFullName,buildNumber]]' },
+        timeout: 10000
+      });
+      return (response.data.actions || [])
+        .flatMap(action => action?.downstreamBuilds || [])
+        .filter(build => build.jobFullName && build.buildNumber)
+        .map(build => ({ jobName: build.jobFullName, buildNumber: build.buildNumber }));
+    } catch (error) {
+      this.logger.debug(`Could not get downstream builds of ${job} #${buildNumber}: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Get current running stage for a build using Jenkins Workflow API
    */
@@ -104,23 +320,23 @@ class JenkinsLogCapture {
     const job = jobName || this.jobName;
     try {
       const response = await this.client.get(
-        `/job/${job}/${buildNumber}/wfapi/describe`,
+        `${jobPath(job)}/${buildNumber}/wfapi/describe`,
         { timeout: 10000 }
       );
       
-      logger.debug(`Stage API response for build #${buildNumber}: ${JSON.stringify(response.data)}`);
+      this.logger.debug(`Stage API response for build #${buildNumber}: ${JSON.stringify(response.data)}`);
       
       const stages = response.data.stages || [];
       
       if (stages.length === 0) {
-        logger.debug('No stages found in workflow API response');
+        this.logger.debug('No stages found in workflow API response');
         return null;
       }
       
       // Find the currently running stage
       const runningStage = stages.find(stage => stage.status === STAGE_STATUS.IN_PROGRESS);
       if (runningStage) {
-        logger.info(`Current stage: ${runningStage.name} [${STAGE_STATUS.IN_PROGRESS}]`);
+        this.logger.info(`Current stage: ${runningStage.name} [${STAGE_STATUS.IN_PROGRESS}]`);
         return {
           name: runningStage.name,
           status: runningStage.status,
@@ -132,7 +348,7 @@ class JenkinsLogCapture {
       const completedStages = stages.filter(stage => stage.status !== STAGE_STATUS.NOT_EXECUTED);
       if (completedStages.length > 0) {
         const lastStage = completedStages[completedStages.length - 1];
-        logger.debug(`Last completed stage: ${lastStage.name} [${lastStage.status}]`);
+        this.logger.debug(`Last completed stage: ${lastStage.name} [${lastStage.status}]`);
         return {
           name: lastStage.name,
           status: lastStage.status,
@@ -143,9 +359,9 @@ class JenkinsLogCapture {
       return null;
     } catch (error) {
       if (error.response?.status === 404) {
-        logger.error(`Workflow API not available (404). Install 'Pipeline: Stage View Plugin' in Jenkins.`);
+        this.logger.error(`Workflow API not available (404). Install 'Pipeline: Stage View Plugin' in Jenkins.`);
       } else {
-        logger.warn(`Could not get stage info: ${error.message}`);
+        this.logger.warn(`Could not get stage info: ${error.message}`);
       }
       return null;
     }
@@ -158,7 +374,7 @@ class JenkinsLogCapture {
     const job = jobName || this.jobName;
     try {
       const response = await this.client.get(
-        `/job/${job}/${buildNumber}/api/json`
+        `${jobPath(job)}/${buildNumber}/api/json`
       );
       return {
         number: response.data.number,
@@ -168,8 +384,10 @@ class JenkinsLogCapture {
         timestamp: response.data.timestamp
       };
     } catch (error) {
-      logger.error(`Failed to get build status for #${buildNumber}: ${error.message}`);
-      throw new Error(`Failed to get build status: ${error.message}`);
+      this.logger.error(`Failed to get build status for #${buildNumber}: ${error.message}`);
+      const statusError = new Error(`Failed to get build status: ${error.message}`);
+      statusError.status = error.response?.status;
+      throw statusError;
     }
   }
 
@@ -177,24 +395,34 @@ class JenkinsLogCapture {
    * Stream logs in real-time (progressive text)
    * This fetches logs incrementally as the build runs
    * @param {number} buildNumber - Build number to stream logs for
-   * @param {function} onLogChunk - Callback for each log chunk
+   * @param {function} onLogChunk - Callback for each log chunk, called with (chunk, nextOffset)
    * @param {number} pollInterval - Polling interval in ms
    * @param {string} jobName - Optional job name (defaults to constructor value)
+   * @param {Object} options
+   * @param {number} options.startOffset - Byte offset to resume from (X-Text-Size of a previous chunk)
+   * @param {AbortSignal} options.signal - Stops streaming (rejecting with the abort reason) when aborted
+   * @param {string} options.source - 'text' (progressiveText) or 'html' (progressiveHtml), defaults to logSource
    */
-  async streamLogs(buildNumber, onLogChunk, pollInterval = 2000, jobName = null) {
+  async streamLogs(buildNumber, onLogChunk, pollInterval = 2000, jobName = null, options = {}) {
     const job = jobName || this.jobName;
-    let start = 0;
+    const signal = options.signal || null;
+    let start = options.startOffset || 0;
+    const endpoint = (options.source || this.logSource) === 'html' ? 'progressiveHtml' : 'progressiveText';
     let isBuilding = true;
     let consecutiveErrors = 0;
     const maxConsecutiveErrors = 5;
 
-    logger.info(`Starting log stream for build #${buildNumber}...`);
+    this.logger.info(`Starting log stream for build #${buildNumber}${start ? ` from offset ${start}` : ''}...`);
 
     while (isBuilding) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
       try {
-        // Use progressiveText API for incremental log retrieval
+        // Use progressiveText/progressiveHtml API for incremental log retrieval
         const response = await this.client.get(
-          `/job/${job}/${buildNumber}/logText/progressiveText?start=${start}`,
+          `${jobPath(job)}/${buildNumber}/logText/${endpoint}?start=${start}`,
           { responseType: 'text' }
         );
 
@@ -202,15 +430,15 @@ class JenkinsLogCapture {
         const moreData = response.headers['x-more-data'];
         const nextStart = response.headers['x-text-size'];
 
-        if (logChunk) {
-          onLogChunk(logChunk);
-        }
-
         // Update start position for next request
         if (nextStart) {
           start = parseInt(nextStart, 10);
         }
 
+        if (logChunk) {
+          await onLogChunk(logChunk, start);
+        }
+
         // Check if build is still running
         isBuilding = moreData === 'true';
 
@@ -219,23 +447,82 @@ class JenkinsLogCapture {
 
         if (isBuilding) {
           // Wait before next poll
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
+          await sleep(pollInterval, signal);
         }
       } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+
         consecutiveErrors++;
-        logger.error(`Error streaming logs (attempt ${consecutiveErrors}/${maxConsecutiveErrors}): ${error.message}`);
+        this.logger.error(`Error streaming logs (attempt ${consecutiveErrors}/${maxConsecutiveErrors}): ${error.message}`);
         
         if (consecutiveErrors >= maxConsecutiveErrors) {
-          logger.error(`Max consecutive errors reached, stopping log stream`);
+          this.logger.error(`Max consecutive errors reached, stopping log stream`);
           throw new Error(`Failed to stream logs after ${maxConsecutiveErrors} attempts`);
         }
         
         // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        await sleep(pollInterval, signal);
       }
     }
 
-    logger.info('Log stream completed.');
+    this.logger.info('Log stream completed.');
+  }
+
+  /**
+   * Create a pipeline that turns streamed chunks into normalised, masked output per sink
+   * Chunks are split into lines (a partial line is held until it completes),
+   * normalised once, then rendered in each sink's format and masked. jsonl is
+   * masked line by line before rendering: masking escaped JSON could miss a
+   * secret or cut into the JSON syntax.
+   * @param {Object<string, string>} formats - Sink name -> 'raw' | 'clean' | 'jsonl'
+   * @param {SecretMasker} masker - Defaults to this.masker
+   * @returns {{write: function(string): Object<string, string>, end: function(): Object<string, string>, hasPending: function(): boolean}}
+   */
+  createLogPipeline(formats, masker = this.masker) {
+    const normalizer = createNormalizerStream({ html: this.logSource === 'html' });
+    const sinks = Object.entries(formats).map(([name, format]) => ({
+      name,
+      format,
+      mask: format === 'jsonl' ? null : masker.createStream(),
+    }));
+    const maskText = (text) => masker.mask(text);
+
+    const emit = (lines, final) => {
+      const output = {};
+      for (const sink of sinks) {
+        if (!sink.mask) {
+          output[sink.name] = renderLines(lines, sink.format, maskText);
+          continue;
+        }
+        const masked = sink.mask.write(renderLines(lines, sink.format));
+        output[sink.name] = final ? masked + sink.mask.end() : masked;
+      }
+      return output;
+    };
+
+    return {
+      write: (chunk) => emit(normalizer.write(chunk), false),
+      end: () => emit(normalizer.end(), true),
+      hasPending: () => normalizer.hasPending() || sinks.some(sink => sink.mask?.hasPending()),
+    };
+  }
+
+  /**
+   * Log text of a build up to a byte offset of its progressive log
+   * Fills in the start of a log a shared stream no longer buffers.
+   * @param {Object} options
+   * @param {string} options.source - 'text' or 'html', defaults to logSource (as streamLogs)
+   */
+  async getLogHead(buildNumber, endOffset, jobName = null, options = {}) {
+    const job = jobName || this.jobName;
+    const endpoint = (options.source || this.logSource) === 'html' ? 'progressiveHtml' : 'progressiveText';
+    const response = await this.client.get(
+      `${jobPath(job)}/${buildNumber}/logText/${endpoint}?start=0`,
+      { responseType: 'text' }
+    );
+    return Buffer.from(response.data || '').subarray(0, endOffset).toString();
   }
 
   /**
@@ -246,37 +533,50 @@ class JenkinsLogCapture {
     const job = jobName || this.jobName;
     try {
       const response = await this.client.get(
-        `/job/${job}/${buildNumber}/consoleText`,
+        `${jobPath(job)}/${buildNumber}/consoleText`,
         { responseType: 'text' }
       );
       return response.data;
     } catch (error) {
-      logger.error(`Failed to get console output for #${buildNumber}: ${error.message}`);
+      this.logger.error(`Failed to get console output for #${buildNumber}: ${error.message}`);
       throw new Error(`Failed to get console output: ${error.message}`);
     }
   }
 
   /**
-   * Save logs to file
+   * Archive a build's logs (already normalised and masked) with its metadata
+   * @param {Object} options
+   * @param {string} options.jobName - Defaults to the configured job
+   * @param {Object} options.status - getBuildStatus() result
+   * @param {string} options.source - 'manual' or 'webhook'
+   * @returns {Promise<string>} Where the logs were saved (first successful sink)
    */
-  async saveLogsToFile(buildNumber, outputDir = './logs') {
-    try {
-      // Ensure output directory exists
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+  archiveLogs(buildNumber, logs, { jobName = null, status = {}, source = 'manual' } = {}) {
+    const job = jobName || this.jobName;
+    this.archive = this.archive || LogArchive.fromEnv();
+    return this.archive.save({
+      jobName: job,
+      buildNumber,
+      source,
+      result: status.result,
+      duration: status.duration,
+      timestamp: status.timestamp,
+      url: this.buildUrl(buildNumber, job),
+    }, logs, this.logger);
+  }
 
-      const logs = await this.getConsoleOutput(buildNumber);
-      const filename = path.join(
-        outputDir,
-        `${this.jobName}-build-${buildNumber}-${Date.now()}.log`
-      );
-      
-      fs.writeFileSync(filename, logs, 'utf8');
-      logger.info(`Logs saved to: ${filename}`);
-      return filename;
+  /**
+   * Save logs of a build to the log archive
+   */
+  async saveLogsToFile(buildNumber) {
+    try {
+      const logs = normalizeLog(await this.getConsoleOutput(buildNumber), this.fileLogFormat, {
+        mask: (text) => this.masker.mask(text),
+      });
+      const status = await this.getBuildStatus(buildNumber);
+      return await this.archiveLogs(buildNumber, logs, { status });
     } catch (error) {
-      logger.error(`Failed to save logs for #${buildNumber}: ${error.message}`);
+      this.logger.error(`Failed to save logs for #${buildNumber}: ${error.message}`);
       throw new Error(`Failed to save logs: ${error.message}`);
     }
   }
@@ -286,38 +586,31 @@ class JenkinsLogCapture {
    */
   async monitorBuild(buildNumber, saveToFile = true) {
     let allLogs = '';
+    const pipeline = this.createLogPipeline({ console: this.consoleLogFormat, file: this.fileLogFormat });
 
     try {
-      // Stream logs in real-time
-      await this.streamLogs(buildNumber, (chunk) => {
-        process.stdout.write(chunk);
-        allLogs += chunk;
-      });
+      // Stream logs in real-time (normalised and masked before they reach any sink)
+      const writeOutput = (output) => {
+        process.stdout.write(output.console);
+        allLogs += output.file;
+      };
+      await this.streamLogs(buildNumber, (chunk) => writeOutput(pipeline.write(chunk)));
+      writeOutput(pipeline.end());
 
       // Get final build status
       const status = await this.getBuildStatus(buildNumber);
-      logger.info('\n--- Build Status ---');
-      logger.info(`Result: ${status.result}`);
-      logger.info(`Duration: ${status.duration}ms`);
+      this.logger.info('\n--- Build Status ---');
+      this.logger.info(`Result: ${status.result}`);
+      this.logger.info(`Duration: ${status.duration}ms`);
 
-      // Save to file if requested
+      // Archive if requested
       if (saveToFile) {
-        const outputDir = './logs';
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
-        }
-        
-        const filename = path.join(
-          outputDir,
-          `${this.jobName}-build-${buildNumber}-${Date.now()}.log`
-        );
-        fs.writeFileSync(filename, allLogs, 'utf8');
-        logger.info(`Logs saved to: ${filename}`);
+        await this.archiveLogs(buildNumber, allLogs, { status });
       }
 
       return { logs: allLogs, status };
     } catch (error) {
-      logger.error(`Failed to monitor build #${buildNumber}: ${error.message}`);
+      this.logger.error(`Failed to monitor build #${buildNumber}: ${error.message}`);
       throw error;
     }
   }
@@ -327,26 +620,184 @@ class JenkinsLogCapture {
    */
   async waitForNewBuild(previousBuildNumber, timeout = 300000) {
     const startTime = Date.now();
-    logger.info(`Waiting for new build (previous: #${previousBuildNumber})...`);
+    this.logger.info(`Waiting for new build (previous: #${previousBuildNumber})...`);
 
     while (Date.now() - startTime < timeout) {
       try {
         const latestBuild = await this.getLatestBuildNumber();
         
         if (latestBuild && latestBuild > previousBuildNumber) {
-          logger.info(`New build detected: #${latestBuild}`);
+          this.logger.info(`New build detected: #${latestBuild}`);
           return latestBuild;
         }
 
         await new Promise(resolve => setTimeout(resolve, 5000));
       } catch (error) {
-        logger.warn(`Error checking for new build: ${error.message}`);
+        this.logger.warn(`Error checking for new build: ${error.message}`);
         await new Promise(resolve => setTimeout(resolve, 5000));
       }
     }
 
     throw new Error('Timeout waiting for new build');
   }
+
+  /**
+   * Extract the queue item id from the Location header returned by build/buildWithParameters
+   * @param {string} location - e.g. http://jenkins:8080/queue/item/123/
+   * @returns {number|null}
+   */
+  static parseQueueItemId(location) {
+    if (!location) return null;
+    const match = String(location).match(/\/queue\/item\/(\d+)\/?$/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Parse a build URL (e.g. a link previously attached to a Port run)
+   * @param {string} url - e.g. http://jenkins:8080/job/my-job/42/ or .../job/team/job/service/42/
+   * @returns {{jobName: string, buildNumber: number}|null} null if the URL is not a build of this server;
+   *   jobName is the full name (folders joined with '/')
+   */
+  parseBuildUrl(url) {
+    if (!url || !this.jenkinsUrl || !url.startsWith(this.jenkinsUrl)) return null;
+    const match = url.slice(this.jenkinsUrl.length).match(/^\/?job\/(.+)\/(\d+)\/?$/);
+    if (!match) return null;
+    return {
+      jobName: match[1].split('/job/').map(decodeURIComponent).join('/'),
+      buildNumber: parseInt(match[2], 10)
+    };
+  }
+
+  /**
+   * Get a queue item
+   */
+  async getQueueItem(queueItemId) {
+    try {
+      const response = await this.client.get(`/queue/item/${queueItemId}/api/json`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        // Jenkins forgets queue items a few minutes after they leave the queue
+        throw new Error(`Queue item #${queueItemId} not found (expired or never existed)`);
+      }
+      this.logger.error(`Failed to get queue item #${queueItemId}: ${error.message}`);
+      throw new Error(`Failed to get queue item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for a queue item to be assigned a build number
+   * @param {number} queueItemId - Queue item id (see parseQueueItemId)
+   * @param {Object} options
+   * @param {number} options.timeout - Max time to wait in ms
+   * @param {number} options.pollInterval - Polling interval in ms
+   * @param {number} options.stuckThreshold - Time in queue after which onStuck is called
+   * @param {function} options.onStuck - Called once with ({ why, waitedMs }) when the item stays queued too long
+   * @param {AbortSignal} options.signal - Stops waiting (rejecting with the abort reason) when aborted
+   * @returns {Promise<{buildNumber: number, url: string}>}
+   */
+  async waitForQueuedBuild(queueItemId, options = {}) {
+    const timeout = options.timeout || this.queueTimeout;
+    const pollInterval = options.pollInterval || this.queuePollInterval;
+    const stuckThreshold = options.stuckThreshold || this.queueStuckThreshold;
+    const startTime = Date.now();
+    let stuckReported = false;
+    let lastWhy = null;
+
+    this.logger.info(`Waiting for queue item #${queueItemId} to start...`);
+
+    while (Date.now() - startTime < timeout) {
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
+
+      const item = await this.getQueueItem(queueItemId);
+
+      if (item.cancelled) {
+        throw new Error(`Queue item #${queueItemId} was cancelled before the build started`);
+      }
+
+      if (item.executable?.number) {
+        this.logger.info(`Queue item #${queueItemId} started build #${item.executable.number}`);
+        return { buildNumber: item.executable.number, url: item.executable.url };
+      }
+
+      lastWhy = item.why || lastWhy;
+      const waitedMs = Date.now() - startTime;
+
+      if (!stuckReported && (item.stuck || waitedMs >= stuckThreshold)) {
+        stuckReported = true;
+        this.logger.warn(`Queue item #${queueItemId} still waiting after ${Math.round(waitedMs / 1000)}s: ${lastWhy || 'unknown reason'}`);
+        if (options.onStuck) {
+          try {
+            await options.onStuck({ why: lastWhy, waitedMs });
+          } catch (error) {
+            this.logger.debug(`onStuck callback error: ${error.message}`);
+          }
+        }
+      }
+
+      await sleep(pollInterval, options.signal);
+    }
+
+    throw new Error(
+      `Timeout after ${Math.round(timeout / 1000)}s waiting for queue item #${queueItemId} to start` +
+      (lastWhy ? ` (${lastWhy})` : '')
+    );
+  }
+
+  /**
+   * Remove an item from the build queue
+   */
+  async cancelQueueItem(queueItemId) {
+    try {
+      await this.client.post(`/queue/cancelItem?id=${queueItemId}`);
+      this.logger.info(`Cancelled queue item #${queueItemId}`);
+    } catch (error) {
+      // Jenkins answers 404 when the item already left the queue
+      if (error.response?.status === 404) {
+        this.logger.debug(`Queue item #${queueItemId} was no longer queued`);
+        return;
+      }
+      this.logger.error(`Failed to cancel queue item #${queueItemId}: ${error.message}`);
+      throw new Error(`Failed to cancel queue item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop a running build, escalating from /stop to /term to /kill
+   * Each step gets `escalationTimeout` ms to take effect before the next one is tried.
+   * @returns {Promise<string|null>} The step that stopped the build ('stop', 'term', 'kill'), or null if it kept running
+   */
+  async stopBuild(buildNumber, jobName = null, escalationTimeout = 30000) {
+    const job = jobName || this.jobName;
+
+    for (const step of ['stop', 'term', 'kill']) {
+      try {
+        this.logger.info(`Sending /${step} to ${job} #${buildNumber}`);
+        await this.client.post(`${jobPath(job)}/${buildNumber}/${step}`);
+      } catch (error) {
+        this.logger.warn(`/${step} failed for ${job} #${buildNumber}: ${error.message}`);
+      }
+
+      const deadline = Date.now() + escalationTimeout;
+      while (Date.now() < deadline) {
+        try {
+          const status = await this.getBuildStatus(buildNumber, job);
+          if (!status.building) {
+            this.logger.info(`Build ${job} #${buildNumber} stopped via /${step} (${status.result})`);
+            return step;
+          }
+        } catch (error) {
+          this.logger.debug(`Status check after /${step} failed: ${error.message}`);
+        }
+        await sleep(2000);
+      }
+    }
+
+    this.logger.error(`Build ${job} #${buildNumber} still running after /stop, /term and /kill`);
+    return null;
+  }
 }
 
 // Example usage
@@ -436,3 +887,7 @@ if (require.main === module) {
 module.exports = JenkinsLogCapture;
 module.exports.BUILD_STATUS = BUILD_STATUS;
 module.exports.STAGE_STATUS = STAGE_STATUS;
+module.exports.QUEUE_DEFAULTS = QUEUE_DEFAULTS;
+module.exports.sleep = sleep;
+module.exports.jobPath = jobPath;
+module.exports.jobFileName = jobFileName;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const JenkinsLogCapture = require('./jenkins-log-capture');
+
+/**
+ * Name of the server built from JENKINS_URL / JENKINS_USERNAME / JENKINS_API_TOKEN
+ */
+const DEFAULT_SERVER = 'default';
+
+/**
+ * Action inputs that select a server by name
+ */
+const SERVER_PROPERTY_KEYS = ['jenkins_server', 'jenkinsServer'];
+
+/**
+ * Named Jenkins controllers and the routing of actions to them
+ * Each server gets its own JenkinsLogCapture client. A run goes to the server
+ * named in its `jenkins_server` input, else the server routed for its action
+ * identifier, else the one routed for its entity's blueprint, else the default.
+ *
+ * Servers file shape (JSON):
+ * {
+ *   "servers": { "<name>": { "url", "username", "apiToken" | "apiTokenEnv", "jobName" } },
+ *   "default": "<name>",
+ *   "routes": { "actions": { "<action identifier>": "<name>" }, "blueprints": { "<blueprint>": "<name>" } }
+ * }
+ */
+class JenkinsServerRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.servers - Server definitions by name
+   * @param {Object} options.routes - { actions, blueprints } routing tables
+   * @param {string} options.defaultServer - Server used when nothing else matches
+   * @param {Object} options.captureOptions - Extra JenkinsLogCapture options shared by all servers (masker, queue timeouts, ...)
+   */
+  constructor({ servers = {}, routes = {}, defaultServer = DEFAULT_SERVER, captureOptions = {} } = {}) {
+    this.servers = new Map();
+    this.routes = {
+      actions: routes.actions || {},
+      blueprints: routes.blueprints || {},
+    };
+
+    for (const [name, definition] of Object.entries(servers)) {
+      const url = definition.url ? definition.url.replace(/\/+$/, '') : definition.url;
+      const apiToken = definition.apiToken || (definition.apiTokenEnv ? process.env[definition.apiTokenEnv] : undefined);
+      this.servers.set(name, {
+        name,
+        url,
+        capture: new JenkinsLogCapture({
+          ...captureOptions,
+          jenkinsUrl: url,
+          username: definition.username,
+          apiToken,
+          jobName: definition.jobName || captureOptions.jobName,
+        }),
+      });
+    }
+
+    this.defaultServer = this.servers.has(defaultServer) ? defaultServer : this.servers.keys().next().value;
+
+    for (const [kind, table] of Object.entries(this.routes)) {
+      for (const [key, name] of Object.entries(table)) {
+        if (!this.servers.has(name)) {
+          throw new Error(`Jenkins route ${kind}.${key} points to unknown server '${name}'`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the registry from the environment and an optional servers file
+   * The JENKINS_URL server is registered as 'default' unless the file defines it.
+   * @param {string} filePath - JENKINS_SERVERS_FILE
+   * @param {Object} defaults - { url, username, apiToken, jobName } of the env server
+   * @param {Object} captureOptions
+   */
+  static load(filePath, defaults = {}, captureOptions = {}) {
+    let file = {};
+    if (filePath) {
+      const resolved = path.resolve(filePath);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Jenkins servers file not found: ${resolved}`);
+      }
+      try {
+        file = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid Jenkins servers file ${resolved}: ${error.message}`);
+      }
+    }
+
+    const servers = { ...(file.servers || {}) };
+    if (!servers[DEFAULT_SERVER] && (defaults.url || Object.keys(servers).length === 0)) {
+      servers[DEFAULT_SERVER] = defaults;
+    }
+
+    return new JenkinsServerRegistry({
+      servers,
+      routes: file.routes,
+      defaultServer: file.default || DEFAULT_SERVER,
+      captureOptions: { jobName: defaults.jobName, ...captureOptions },
+    });
+  }
+
+  /**
+   * Get a server by name (the default server when no name is given)
+   * @returns {{name: string, url: string, capture: JenkinsLogCapture}}
+   */
+  get(name = null) {
+    const serverName = name || this.defaultServer;
+    const server = this.servers.get(serverName);
+    if (!server) {
+      throw new Error(`Unknown Jenkins server '${serverName}'. Configured servers: ${this.names().join(', ') || 'none'}`);
+    }
+    return server;
+  }
+
+  names() {
+    return Array.from(this.servers.keys());
+  }
+
+  /**
+   * API tokens of all servers (to be masked in logs)
+   */
+  secrets() {
+    return Array.from(this.servers.values()).map(server => server.capture.apiToken).filter(Boolean);
+  }
+
+  /**
+   * Pick the server for an action run
+   * @param {Object} message - Port run message
+   */
+  resolve(message) {
+    const properties = message.properties || {};
+    const requested = SERVER_PROPERTY_KEYS.map(key => properties[key]).find(Boolean);
+    if (requested) {
+      return this.get(requested);
+    }
+
+    const actionRoute = this.routes.actions[message.action?.identifier];
+    if (actionRoute) {
+      return this.get(actionRoute);
+    }
+
+    const blueprint = message.entity?.blueprint || message.action?.blueprint;
+    const blueprintRoute = blueprint ? this.routes.blueprints[blueprint] : null;
+    if (blueprintRoute) {
+      return this.get(blueprintRoute);
+    }
+
+    return this.get();
+  }
+
+  /**
+   * Find the server and build a build URL belongs to
+   * @returns {{server: Object, jobName: string, buildNumber: number}|null}
+   */
+  parseBuildUrl(url) {
+    for (const server of this.servers.values()) {
+      const build = server.capture.parseBuildUrl(url);
+      if (build) {
+        return { server, ...build };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = JenkinsServerRegistry;
+module.exports.DEFAULT_SERVER = DEFAULT_SERVER;
+module.exports.SERVER_PROPERTY_KEYS = SERVER_PROPERTY_KEYS;
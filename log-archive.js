@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const axios = require('./axios-config');
+const logger = require('./logger');
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Where saved build logs go
+ * Every sink gets the same masked, normalised log text plus the build's
+ * metadata, and returns where it stored it:
+ *
+ *   sink.save({ jobName, buildNumber, source, result, duration, timestamp, url }, logs) -> Promise<string>
+ *
+ * `source` is 'manual' (CLI captures) or 'webhook'. LOG_ARCHIVE_SINKS picks
+ * the sinks (local, s3, elasticsearch); saving succeeds if any sink does.
+ */
+
+/**
+ * File name prefix of each log source in the local archive
+ */
+const SOURCE_PREFIXES = {
+  manual: '',
+  webhook: 'webhookstream-',
+};
+
+/**
+ * Local archive file names: [webhookstream-]{job}-build-{number}-{timestamp}.log[.gz]
+ */
+const ARCHIVE_FILE = /^(webhookstream-)?(.+)-build-(\d+)-(\d+)\.log(\.gz)?$/;
+
+/**
+ * Job name usable in a file name (folder separators and escapes replaced)
+ */
+function jobFileName(jobName) {
+  return String(jobName).replace(/[\/\\%]+/g, '_');
+}
+
+/**
+ * Parse a local archive file name
+ * @returns {{source: string, job: string, buildNumber: number, savedAt: number, gzip: boolean}|null}
+ */
+function parseArchiveFileName(filename) {
+  const match = path.basename(filename).match(ARCHIVE_FILE);
+  if (!match) return null;
+  return {
+    source: match[1] ? 'webhook' : 'manual',
+    job: match[2],
+    buildNumber: parseInt(match[3], 10),
+    savedAt: parseInt(match[4], 10),
+    gzip: Boolean(match[5]),
+  };
+}
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Files in ./logs (or another directory), optionally gzipped, with retention
+ * Retention runs after every save: files older than retentionDays are
+ * deleted, then all but the newest maxBuildsPerJob files of each job and
+ * source. Only archive files are touched, never the application logs.
+ */
+class LocalArchiveSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Archive directory (default ./logs)
+   * @param {boolean} options.gzip - Compress files (.log.gz, default true)
+   * @param {number} options.retentionDays - Delete files older than this (0 keeps them)
+   * @param {number} options.maxBuildsPerJob - Keep at most this many files per job and source (0 keeps all)
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = options.dir || './logs';
+    this.gzip = options.gzip ?? true;
+    this.retentionDays = options.retentionDays || 0;
+    this.maxBuildsPerJob = options.maxBuildsPerJob || 0;
+  }
+
+  async save(build, logs) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const prefix = SOURCE_PREFIXES[build.source] || '';
+    const filename = path.join(
+      this.dir,
+      `${prefix}${jobFileName(build.jobName)}-build-${build.buildNumber}-${Date.now()}.log${this.gzip ? '.gz' : ''}`
+    );
+    await fs.promises.writeFile(filename, this.gzip ? await gzip(logs) : logs, this.gzip ? undefined : 'utf8');
+
+    try {
+      await this.applyRetention();
+    } catch (error) {
+      logger.warn(`⚠️  Log archive retention failed in ${this.dir}: ${error.message}`);
+    }
+    return filename;
+  }
+
+  /**
+   * Delete archive files outside the retention rules
+   * @returns {Promise<Array<string>>} Deleted file names
+   */
+  async applyRetention(now = Date.now()) {
+    if (!this.retentionDays && !this.maxBuildsPerJob) return [];
+
+    const files = (await fs.promises.readdir(this.dir))
+      .map(file => ({ file, info: parseArchiveFileName(file) }))
+      .filter(({ info }) => info)
+      .sort((a, b) => b.info.savedAt - a.info.savedAt);
+
+    const expired = new Set();
+    if (this.retentionDays) {
+      const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+      files.filter(({ info }) => info.savedAt < cutoff).forEach(({ file }) => expired.add(file));
+    }
+    if (this.maxBuildsPerJob) {
+      const kept = new Map();
+      for (const { file, info } of files) {
+        const key = `${info.source}:${info.job}`;
+        const count = (kept.get(key) || 0) + 1;
+        kept.set(key, count);
+        if (count > this.maxBuildsPerJob) expired.add(file);
+      }
+    }
+
+    for (const file of expired) {
+      await fs.promises.unlink(path.join(this.dir, file)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    if (expired.size > 0) {
+      logger.info(`🧹 Removed ${expired.size} archived log(s) from ${this.dir}`);
+    }
+    return Array.from(expired);
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode a path segment the way S3 signs it (RFC 3986 unreserved characters only)
+ */
+function encodeS3Segment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {URL} request.url - With an already encoded pathname and no query string
+ * @param {Object} request.headers - Headers to sign (host and x-amz-* are added)
+ * @param {Buffer|string} request.body
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} now
+ * @returns {Object} Headers including Authorization
+ */
+function signS3Request({ method, url, headers = {}, body = '' }, { accessKeyId, secretAccessKey, region }, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': sha256(body),
+    'x-amz-date': amzDate,
+  };
+
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method.toUpperCase(),
+    url.pathname,
+    '',
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    signed['x-amz-content-sha256'],
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Gzipped objects in an S3-compatible store (AWS S3, MinIO, Ceph, R2, ...)
+ * Keys are {prefix}{job path}/{build number}/{source}-{timestamp}.log.gz with
+ * the build metadata as x-amz-meta-* headers. Use a bucket lifecycle rule
+ * for retention.
+ */
+class S3ArchiveSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket
+   * @param {string} options.endpoint - e.g. http://localhost:9000 (default: AWS S3 in the region)
+   * @param {string} options.region - Default us-east-1
+   * @param {string} options.prefix - Key prefix (default jenkins-logs/)
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {boolean} options.pathStyle - Bucket in the path instead of the host name (default: true with a custom endpoint)
+   */
+  constructor(options) {
+    if (!options.bucket) {
+      throw new Error('The s3 log archive needs a bucket (LOG_ARCHIVE_S3_BUCKET)');
+    }
+    if (!options.accessKeyId || !options.secretAccessKey) {
+      throw new Error('The s3 log archive needs credentials (LOG_ARCHIVE_S3_ACCESS_KEY_ID / LOG_ARCHIVE_S3_SECRET_ACCESS_KEY)');
+    }
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.prefix = options.prefix ?? 'jenkins-logs/';
+    this.pathStyle = options.pathStyle ?? Boolean(options.endpoint);
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      region: this.region,
+    };
+  }
+
+  objectKey(build) {
+    return `${this.prefix}${build.jobName}/${build.buildNumber}/${build.source || 'manual'}-${Date.now()}.log.gz`;
+  }
+
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeS3Segment).join('/');
+    const endpoint = new URL(this.endpoint);
+    if (this.pathStyle) {
+      return new URL(`${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${encodeS3Segment(this.bucket)}/${encodedKey}`);
+    }
+    return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodedKey}`);
+  }
+
+  async save(build, logs) {
+    const key = this.objectKey(build);
+    const url = this.objectUrl(key);
+    const body = await gzip(logs);
+    const metadata = {
+      'x-amz-meta-job-name': encodeURIComponent(build.jobName),
+      'x-amz-meta-build-number': build.buildNumber,
+      'x-amz-meta-source': build.source || 'manual',
+      ...(build.result ? { 'x-amz-meta-result': build.result } : {}),
+    };
+    const headers = signS3Request({
+      method: 'PUT',
+      url,
+      headers: {
+        'content-type': 'text/plain; charset=utf-8',
+        'content-encoding': 'gzip',
+        ...metadata,
+      },
+      body,
+    }, this.credentials);
+    delete headers.host;
+
+    try {
+      await axios.put(url.toString(), body, {
+        headers,
+        // The body is sent as is: no JSON transform, no decompression of the reply
+        transformRequest: [(data) => data],
+        maxBodyLength: Infinity,
+      });
+    } catch (error) {
+      const detail = typeof error.response?.data === 'string'
+        ? error.response.data.match(/<Message>(.*?)<\/Message>/)?.[1]
+        : null;
+      throw new Error(`S3 upload of ${key} failed${error.response ? ` with ${error.response.status}` : ''}: ${detail || error.message}`);
+    }
+    return `s3://${this.bucket}/${key}`;
+  }
+}
+
+/**
+ * Elasticsearch / OpenSearch bulk indexer, one document per log line
+ * Documents carry the build metadata and the line number; their IDs are
+ * derived from the build and line, so archiving a build again overwrites
+ * its documents instead of duplicating them.
+ */
+class ElasticsearchArchiveSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Cluster URL, e.g. http://localhost:9200
+   * @param {string} options.index - Default jenkins-build-logs
+   * @param {string} options.username - Basic auth
+   * @param {string} options.password
+   * @param {string} options.apiKey - Sent as `Authorization: ApiKey <key>` (instead of basic auth)
+   * @param {number} options.batchSize - Lines per _bulk request (default 1000)
+   */
+  constructor(options) {
+    if (!options.url) {
+      throw new Error('The elasticsearch log archive needs a URL (LOG_ARCHIVE_ES_URL)');
+    }
+    this.name = 'elasticsearch';
+    this.url = options.url.replace(/\/+$/, '');
+    this.index = options.index || 'jenkins-build-logs';
+    this.batchSize = options.batchSize || 1000;
+    this.requestOptions = {
+      headers: {
+        'Content-Type': 'application/x-ndjson',
+        ...(options.apiKey ? { Authorization: `ApiKey ${options.apiKey}` } : {}),
+      },
+      ...(!options.apiKey && options.username ? { auth: { username: options.username, password: options.password } } : {}),
+      maxBodyLength: Infinity,
+    };
+  }
+
+  /**
+   * Documents of a build's log lines
+   */
+  documents(build, logs) {
+    const lines = logs.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    const timestamp = new Date(build.timestamp || Date.now()).toISOString();
+    return lines.map((message, index) => ({
+      '@timestamp': timestamp,
+      jobName: build.jobName,
+      buildNumber: build.buildNumber,
+      result: build.result || null,
+      duration: build.duration ?? null,
+      buildUrl: build.url || null,
+      source: build.source || 'manual',
+      line: index + 1,
+      message,
+    }));
+  }
+
+  async save(build, logs) {
+    const documents = this.documents(build, logs);
+    const idPrefix = `${jobFileName(build.jobName)}-${build.buildNumber}`;
+    let failed = 0;
+    let firstError = null;
+
+    for (let start = 0; start < documents.length; start += this.batchSize) {
+      const batch = documents.slice(start, start + this.batchSize);
+      const body = batch
+        .map(doc => `${JSON.stringify({ index: { _index: this.index, _id: `${idPrefix}-${doc.line}` } })}\n${JSON.stringify(doc)}\n`)
+        .join('');
+
+      let response;
+      try {
+        response = await axios.post(`${this.url}/_bulk`, body, this.requestOptions);
+      } catch (error) {
+        const reason = error.response?.data?.error?.reason || error.response?.data?.error || error.message;
+        throw new Error(`Bulk indexing into ${this.index} failed${error.response ? ` with ${error.response.status}` : ''}: ${typeof reason === 'string' ? reason : JSON.stringify(reason)}`);
+      }
+
+      if (response.data?.errors) {
+        for (const item of response.data.items || []) {
+          const error = (item.index || item.create)?.error;
+          if (error) {
+            failed++;
+            firstError = firstError || error.reason || error.type;
+          }
+        }
+      }
+    }
+
+    if (failed > 0) {
+      if (failed === documents.length) {
+        throw new Error(`Elasticsearch rejected all ${failed} lines: ${firstError}`);
+      }
+      logger.warn(`⚠️  Elasticsearch rejected ${failed}/${documents.length} lines of ${build.jobName} #${build.buildNumber}: ${firstError}`);
+    }
+    return `${this.url}/${this.index} (${documents.length - failed} lines)`;
+  }
+}
+
+const SINKS = {
+  local: LocalArchiveSink,
+  s3: S3ArchiveSink,
+  elasticsearch: ElasticsearchArchiveSink,
+};
+
+/**
+ * Saves build logs to every configured sink
+ */
+class LogArchive {
+  /**
+   * @param {Array<{name: string, save: Function}>} sinks
+   */
+  constructor(sinks) {
+    if (!sinks || sinks.length === 0) {
+      throw new Error('A log archive needs at least one sink');
+    }
+    this.sinks = sinks;
+    this.hooks = { onSaved: [] };
+  }
+
+  /**
+   * Register hooks run after a sink saved a build's logs (e.g. for indexing)
+   * onSaved receives { sink, location, build, logs }.
+   */
+  addHooks({ onSaved } = {}) {
+    if (onSaved) this.hooks.onSaved.push(onSaved);
+  }
+
+  runHooks(type, info) {
+    for (const hook of this.hooks[type]) {
+      try {
+        hook(info);
+      } catch (error) {
+        logger.debug(`Log archive ${type} hook failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Archive configured by LOG_ARCHIVE_* variables (local only by default)
+   */
+  static fromEnv(env = process.env) {
+    const names = (env.LOG_ARCHIVE_SINKS || 'local').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const options = {
+      local: {
+        dir: env.LOG_ARCHIVE_DIR,
+        gzip: parseBoolean(env.LOG_ARCHIVE_GZIP, true),
+        retentionDays: parseFloat(env.LOG_ARCHIVE_RETENTION_DAYS) || 0,
+        maxBuildsPerJob: parseInt(env.LOG_ARCHIVE_MAX_BUILDS_PER_JOB, 10) || 0,
+      },
+      s3: {
+        bucket: env.LOG_ARCHIVE_S3_BUCKET,
+        endpoint: env.LOG_ARCHIVE_S3_ENDPOINT,
+        region: env.LOG_ARCHIVE_S3_REGION || env.AWS_REGION,
+        prefix: env.LOG_ARCHIVE_S3_PREFIX,
+        accessKeyId: env.LOG_ARCHIVE_S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.LOG_ARCHIVE_S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+        pathStyle: env.LOG_ARCHIVE_S3_PATH_STYLE ? parseBoolean(env.LOG_ARCHIVE_S3_PATH_STYLE) : undefined,
+      },
+      elasticsearch: {
+        url: env.LOG_ARCHIVE_ES_URL,
+        index: env.LOG_ARCHIVE_ES_INDEX,
+        username: env.LOG_ARCHIVE_ES_USERNAME,
+        password: env.LOG_ARCHIVE_ES_PASSWORD,
+        apiKey: env.LOG_ARCHIVE_ES_API_KEY,
+        batchSize: parseInt(env.LOG_ARCHIVE_ES_BATCH_SIZE, 10) || undefined,
+      },
+    };
+
+    return new LogArchive(names.map(name => {
+      const Sink = SINKS[name];
+      if (!Sink) {
+        throw new Error(`Unknown log archive sink '${name}' in LOG_ARCHIVE_SINKS. Expected one of: ${Object.keys(SINKS).join(', ')}`);
+      }
+      return new Sink(options[name]);
+    }));
+  }
+
+  /**
+   * Save a build's logs (already masked) to all sinks
+   * A failing sink is logged and does not stop the others.
+   * @param {Object} build - { jobName, buildNumber, source, result, duration, timestamp, url }
+   * @param {string} logs
+   * @param {winston.Logger} runLogger - Logger to report to (e.g. a run's child logger)
+   * @returns {Promise<string>} Location in the first sink that succeeded
+   * @throws {Error} If every sink failed
+   */
+  async save(build, logs, runLogger = logger) {
+    const results = await Promise.allSettled(this.sinks.map(sink => sink.save(build, logs)));
+
+    const locations = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        locations.push(result.value);
+        runLogger.info(`Logs saved to: ${result.value}`);
+        this.runHooks('onSaved', { sink: this.sinks[index].name, location: result.value, build, logs });
+      } else {
+        runLogger.error(`❌ Failed to archive logs of ${build.jobName} #${build.buildNumber} to ${this.sinks[index].name}: ${result.reason.message}`);
+      }
+    });
+
+    if (locations.length === 0) {
+      throw new Error(`Failed to archive logs of ${build.jobName} #${build.buildNumber}: every sink failed`);
+    }
+    return locations[0];
+  }
+}
+
+module.exports = LogArchive;
+module.exports.LocalArchiveSink = LocalArchiveSink;
+module.exports.S3ArchiveSink = S3ArchiveSink;
+module.exports.ElasticsearchArchiveSink = ElasticsearchArchiveSink;
+module.exports.signS3Request = signS3Request;
+module.exports.jobFileName = jobFileName;
+module.exports.parseArchiveFileName = parseArchiveFileName;
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const logger = require('./logger');
+const { globToRegExp } = require('./action-handler-registry');
+const { parseArchiveFileName } = require('./log-archive');
+const LogScanner = require('./log-scanner');
+const { lineText } = require('./log-scanner');
+
+const RELATIVE_TIME = /^(\d+)\s*([smhdw])$/i;
+const TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a `since` value: a relative age ("30m", "24h", "7d") or a date
+ * @returns {number} Epoch milliseconds
+ */
+function parseSince(value, now = Date.now()) {
+  const relative = String(value).trim().match(RELATIVE_TIME);
+  if (relative) {
+    return now - parseInt(relative[1], 10) * TIME_UNITS[relative[2].toLowerCase()];
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    throw new Error(`Invalid since '${value}'. Use a relative age (30m, 24h, 7d) or a date`);
+  }
+  return date;
+}
+
+/**
+ * Innermost stage containing a line (stages are ordered by their first line)
+ */
+function stageOfLine(stages, lineNumber) {
+  let match = null;
+  for (const stage of stages) {
+    if (stage.from > lineNumber) break;
+    if (stage.to >= lineNumber) match = stage;
+  }
+  return match ? match.name : null;
+}
+
+/**
+ * Index of the logs in the local archive, for search and range reads
+ * Each archived file is described by its job, build number, result, build
+ * time, line count and the line ranges of its stages. Entries are added when
+ * the webhook server archives a build; files saved by other processes (CLI
+ * captures) or deleted by retention are picked up by sync(). The index is
+ * persisted as JSON lines so it survives restarts without rescanning.
+ */
+class LogIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Local archive directory
+   * @param {string} options.indexFile - JSON-lines file the index is kept in
+   */
+  constructor({ dir = './logs', indexFile = './state/log-index.jsonl' } = {}) {
+    this.dir = dir;
+    this.indexFile = indexFile;
+    this.entries = new Map();
+    this.syncing = null;
+  }
+
+  /**
+   * Load the persisted index
+   */
+  load() {
+    this.entries.clear();
+    if (fs.existsSync(this.indexFile)) {
+      for (const line of fs.readFileSync(this.indexFile, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          this.entries.set(entry.file, entry);
+        } catch (error) {
+          logger.warn(`Skipping unreadable line in log index ${this.indexFile}: ${error.message}`);
+        }
+      }
+    }
+    return this.entries.size;
+  }
+
+  /**
+   * Bring the index in line with the archive directory: drop entries of
+   * deleted files and scan files that are not indexed yet
+   * Concurrent calls share one sync.
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.doSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async doSync() {
+    const files = fs.existsSync(this.dir)
+      ? (await fs.promises.readdir(this.dir)).filter(file => parseArchiveFileName(file))
+      : [];
+    const present = new Set(files);
+
+    let removed = 0;
+    for (const file of this.entries.keys()) {
+      if (!present.has(file)) {
+        this.entries.delete(file);
+        removed++;
+      }
+    }
+    if (removed > 0) this.rewrite();
+
+    const missing = files.filter(file => !this.entries.has(file));
+    for (const file of missing) {
+      try {
+        await this.scanFile(file);
+      } catch (error) {
+        logger.warn(`⚠️  Could not index ${file}: ${error.message}`);
+      }
+    }
+    if (missing.length > 0) {
+      logger.info(`🔎 Indexed ${missing.length} archived log(s) from ${this.dir}`);
+    }
+  }
+
+  /**
+   * Index a file saved without its build metadata (from its name and content)
+   */
+  async scanFile(file) {
+    const info = parseArchiveFileName(file);
+    const scanner = new LogScanner();
+    await this.eachLine(file, (line) => scanner.push(line));
+    const scan = scanner.finish();
+    this.put({
+      file,
+      jobName: info.job,
+      buildNumber: info.buildNumber,
+      source: info.source,
+      result: scan.result,
+      duration: null,
+      timestamp: info.savedAt,
+      savedAt: info.savedAt,
+      url: null,
+      lines: scan.lines,
+      stages: scan.stages,
+    });
+  }
+
+  /**
+   * Index a build's logs as they are archived
+   * @param {string} file - File name in the archive directory
+   * @param {Object} build - { jobName, buildNumber, source, result, duration, timestamp, url }
+   * @param {string} logs - The archived text
+   */
+  add(file, build, logs) {
+    const scanner = new LogScanner();
+    const lines = logs.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    lines.forEach(line => scanner.push(line));
+    const scan = scanner.finish();
+    const info = parseArchiveFileName(file);
+
+    this.put({
+      file,
+      jobName: build.jobName,
+      buildNumber: build.buildNumber,
+      source: build.source || info?.source || 'manual',
+      result: build.result || scan.result,
+      duration: build.duration ?? null,
+      timestamp: build.timestamp || info?.savedAt || Date.now(),
+      savedAt: info?.savedAt || Date.now(),
+      url: build.url || null,
+      lines: scan.lines,
+      stages: scan.stages,
+    });
+  }
+
+  put(entry) {
+    this.entries.set(entry.file, entry);
+    try {
+      this.ensureDir();
+      fs.appendFileSync(this.indexFile, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      logger.error(`Failed to persist log index entry ${entry.file} to ${this.indexFile}: ${error.message}`);
+    }
+  }
+
+  get(file) {
+    return this.entries.get(file) || null;
+  }
+
+  /**
+   * Indexed logs matching the filters, newest build first
+   * @param {Object} filters
+   * @param {string} filters.job - Job name or glob (team/*)
+   * @param {string} filters.result - Result or comma-separated results (FAILURE,UNSTABLE)
+   * @param {number} filters.since - Only builds from this time (epoch ms)
+   * @param {string} filters.stage - Only logs with a stage whose name contains this
+   */
+  find({ job, result, since, stage } = {}) {
+    const jobPattern = job ? globToRegExp(job) : null;
+    const results = result ? result.split(',').map(value => value.trim().toUpperCase()).filter(Boolean) : null;
+    const stageName = stage ? stage.toLowerCase() : null;
+
+    return Array.from(this.entries.values())
+      .filter(entry => !jobPattern || jobPattern.test(entry.jobName))
+      .filter(entry => !results || results.includes(entry.result))
+      .filter(entry => !since || entry.timestamp >= since)
+      .filter(entry => !stageName || entry.stages.some(({ name }) => name.toLowerCase().includes(stageName)))
+      .sort((a, b) => b.timestamp - a.timestamp || b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Search the indexed logs for lines containing a text (case-insensitive)
+   * Matches are returned newest build first, in line order within a build,
+   * with `context` lines before and after. `offset`/`limit` page through the
+   * matches; `nextOffset` is set when there are more.
+   * @param {Object} query - { q, job, result, since, stage, context, offset, limit }
+   */
+  async search({ q, job, result, since, stage, context = 2, offset = 0, limit = 50 }) {
+    await this.sync();
+
+    const needle = q.toLowerCase();
+    const stageName = stage ? stage.toLowerCase() : null;
+    const entries = this.find({ job, result, since, stage });
+    const matches = [];
+    let skipped = 0;
+    let hasMore = false;
+    let searched = 0;
+
+    for (const entry of entries) {
+      if (hasMore) break;
+      searched++;
+      const before = [];
+      const pending = [];
+
+      try {
+        await this.eachLine(entry.file, (line, lineNumber) => {
+          const text = lineText(line);
+          for (const match of pending) {
+            match.context.after.push(text);
+          }
+          while (pending.length > 0 && pending[0].context.after.length >= context) {
+            pending.shift();
+          }
+          // Enough matches: read on only for the after-context of the last ones
+          if (hasMore && pending.length === 0) return false;
+
+          if (!hasMore && text.toLowerCase().includes(needle)) {
+            const lineStage = stageOfLine(entry.stages, lineNumber);
+            if (!stageName || (lineStage && lineStage.toLowerCase().includes(stageName))) {
+              if (skipped < offset) {
+                skipped++;
+              } else if (matches.length === limit) {
+                hasMore = true;
+              } else {
+                const match = {
+                  jobName: entry.jobName,
+                  buildNumber: entry.buildNumber,
+                  result: entry.result,
+                  timestamp: entry.timestamp,
+                  file: entry.file,
+                  line: lineNumber,
+                  stage: lineStage,
+                  text,
+                  context: { before: [...before], after: [] },
+                  links: {
+                    build: entry.url,
+                    log: `/logs/${encodeURIComponent(entry.file)}?from=${Math.max(1, lineNumber - context)}&to=${lineNumber + context}`,
+                  },
+                };
+                matches.push(match);
+                if (context > 0) pending.push(match);
+              }
+            }
+          }
+
+          before.push(text);
+          if (before.length > context) before.shift();
+          return true;
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        // Deleted by retention since the last sync
+        this.entries.delete(entry.file);
+      }
+    }
+
+    return {
+      matches,
+      offset,
+      limit,
+      nextOffset: hasMore ? offset + matches.length : null,
+      logsSearched: searched,
+      logsMatchingFilters: entries.length,
+    };
+  }
+
+  /**
+   * Read lines `from` to `to` (1-based, inclusive) of an archived log
+   * Only the file up to `to` is read.
+   * @returns {Promise<{lines: Array<string>, from: number, to: number, totalLines: number|null}>}
+   */
+  async readLines(file, from = 1, to = Infinity) {
+    const lines = [];
+    let lastLine = 0;
+    await this.eachLine(file, (line, lineNumber) => {
+      lastLine = lineNumber;
+      if (lineNumber >= from) lines.push(line);
+      return lineNumber < to;
+    });
+
+    const entry = this.get(file);
+    return {
+      lines,
+      from,
+      to: lines.length > 0 ? from + lines.length - 1 : lastLine,
+      totalLines: entry ? entry.lines : (to === Infinity || lastLine < to ? lastLine : null),
+    };
+  }
+
+  /**
+   * Call onLine(line, lineNumber) for each line of an archived file (gzipped
+   * or plain) until it returns false
+   */
+  eachLine(file, onLine) {
+    return new Promise((resolve, reject) => {
+      const filePath = path.join(this.dir, file);
+      const input = fs.createReadStream(filePath);
+      const stream = file.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input;
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      let lineNumber = 0;
+      let stopped = false;
+
+      input.on('error', reject);
+      stream.on('error', reject);
+      lines.on('line', (line) => {
+        if (stopped) return;
+        lineNumber++;
+        if (onLine(line, lineNumber) === false) {
+          stopped = true;
+          lines.close();
+          input.destroy();
+        }
+      });
+      lines.on('close', resolve);
+    });
+  }
+
+  rewrite() {
+    try {
+      this.ensureDir();
+      const tmpFile = `${this.indexFile}.tmp`;
+      const content = Array.from(this.entries.values()).map(entry => JSON.stringify(entry) + '\n').join('');
+      fs.writeFileSync(tmpFile, content, 'utf8');
+      fs.renameSync(tmpFile, this.indexFile);
+    } catch (error) {
+      logger.error(`Failed to rewrite log index ${this.indexFile}: ${error.message}`);
+    }
+  }
+
+  ensureDir() {
+    const dir = path.dirname(this.indexFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+module.exports = LogIndex;
+module.exports.parseSince = parseSince;
@@ -0,0 +1,142 @@
+/**
+ * Jenkins console log normalisation
+ * Removes console-note blobs (`ha:////...`) and ANSI escape codes written by
+ * the AnsiColor / Timestamper plugins, converts progressiveHtml output back to
+ * text, and lifts Timestamper prefixes into per-line metadata.
+ */
+
+/**
+ * Output formats a sink can choose
+ * - raw: the console output as Jenkins returned it
+ * - clean: plain text without console notes, ANSI codes or timestamp prefixes
+ * - jsonl: one JSON object per line ({ timestamp, text })
+ */
+const LOG_FORMATS = ['raw', 'clean', 'jsonl'];
+
+// Console notes are hidden with SGR 8 (conceal): ESC[8mha:////<base64>ESC[0m
+const CONSOLE_NOTE = /(?:\x1b\[8m)?ha:\/\/\/\/[A-Za-z0-9+/=]*(?:\x1b\[0m)?/g;
+const ANSI_ESCAPE = /\x1b\[[0-9;?]*[ -/]*[@-~]|\x1b[@-Z\\-_]/g;
+const HTML_TAG = /<[^>]*>/g;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+// Timestamper prefixes: "[2024-01-01T10:00:00.123Z] " or "10:00:00 " / "[10:00:00] "
+const ISO_TIMESTAMP = /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\]?\s/;
+const TIME_TIMESTAMP = /^\[?(\d{2}:\d{2}:\d{2}(?:\.\d+)?)\]?\s/;
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+|#39);/gi, (entity, code) => {
+    if (HTML_ENTITIES[code] !== undefined) return HTML_ENTITIES[code];
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    return entity;
+  });
+}
+
+/**
+ * Normalise one console line
+ * @param {string} line - Line without its trailing newline
+ * @param {Object} options
+ * @param {boolean} options.html - Line comes from progressiveHtml
+ * @returns {{raw: string, text: string, timestamp: string|null}}
+ */
+function normalizeLine(line, options = {}) {
+  let text = line.replace(/\r$/, '');
+  if (options.html) {
+    text = decodeHtmlEntities(text.replace(HTML_TAG, ''));
+  }
+  text = text.replace(CONSOLE_NOTE, '').replace(ANSI_ESCAPE, '');
+
+  let timestamp = null;
+  const match = text.match(ISO_TIMESTAMP) || text.match(TIME_TIMESTAMP);
+  if (match) {
+    timestamp = match[1];
+    text = text.slice(match[0].length);
+  }
+
+  return { raw: line, text, timestamp };
+}
+
+/**
+ * Render normalised lines for a sink
+ * @param {Array<{raw: string, text: string, timestamp: string|null}>} lines
+ * @param {string} format - One of LOG_FORMATS
+ * @param {function(string): string} mask - Applied to each line's text before
+ *   it is rendered, so jsonl is masked before it is JSON-escaped
+ */
+function renderLines(lines, format = 'clean', mask = (text) => text) {
+  if (format === 'raw') {
+    return lines.map(line => `${mask(line.raw)}\n`).join('');
+  }
+  if (format === 'jsonl') {
+    return lines.map(line => `${JSON.stringify({ timestamp: line.timestamp, text: mask(line.text) })}\n`).join('');
+  }
+  return lines.map(line => `${mask(line.text)}\n`).join('');
+}
+
+/**
+ * Normalise a complete log (e.g. consoleText) for a sink
+ * @param {Object} options - normalizeLine options, plus `mask` (see renderLines)
+ */
+function normalizeLog(text, format = 'clean', options = {}) {
+  if (!text) return text;
+  if (format === 'raw') return options.mask ? options.mask(text) : text;
+  const lines = text.split('\n');
+  const last = lines.pop();
+  const normalized = lines.map(line => normalizeLine(line, options));
+  let output = renderLines(normalized, format, options.mask);
+  if (last) {
+    output += renderLines([normalizeLine(last, options)], format, options.mask).replace(/\n$/, '');
+  }
+  return output;
+}
+
+/**
+ * Create a line-splitting normaliser for streamed chunks
+ * A trailing partial line is held until its newline (or end()).
+ * @returns {{write: function(string): Array, end: function(): Array, hasPending: function(): boolean}}
+ */
+function createNormalizerStream(options = {}) {
+  const maxPending = options.maxLineLength || 65536;
+  let pending = '';
+
+  return {
+    write: (chunk) => {
+      const parts = (pending + chunk).split('\n');
+      pending = parts.pop();
+      // A runaway line without newlines is released as is
+      if (pending.length > maxPending) {
+        parts.push(pending);
+        pending = '';
+      }
+      return parts.map(line => normalizeLine(line, options));
+    },
+    end: () => {
+      const rest = pending ? [normalizeLine(pending, options)] : [];
+      pending = '';
+      return rest;
+    },
+    hasPending: () => pending.length > 0,
+  };
+}
+
+/**
+ * Validate a sink format setting
+ */
+function parseLogFormat(value, fallback) {
+  if (!value) return fallback;
+  if (!LOG_FORMATS.includes(value)) {
+    throw new Error(`Invalid log format '${value}'. Expected one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+module.exports = {
+  LOG_FORMATS,
+  normalizeLine,
+  normalizeLog,
+  renderLines,
+  createNormalizerStream,
+  parseLogFormat,
+};
@@ -0,0 +1,85 @@
+/**
+ * Stage and result scanning of Jenkins console logs
+ * Shared by the log index (stage line ranges of archived logs) and the
+ * failure analyzer (stage of each line of a live log).
+ */
+
+/**
+ * Blocks in Jenkins console output: "[Pipeline] { (Build)" opens a named
+ * block (a stage or a parallel branch), "[Pipeline] {" an unnamed one (node,
+ * withEnv, ...), and "[Pipeline] }" closes the innermost block
+ */
+const BLOCK_START = /^\[Pipeline\] \{(?: \((.+)\))?\s*$/;
+const BLOCK_END = /^\[Pipeline\] \}\s*$/;
+const FINISHED = /^Finished: ([A-Z_]+)\s*$/;
+
+/**
+ * Text of an archived line (jsonl archives hold { timestamp, text } objects)
+ */
+function lineText(line) {
+  if (line.startsWith('{"')) {
+    try {
+      const entry = JSON.parse(line);
+      if (typeof entry.text === 'string') return entry.text;
+    } catch (error) {
+      // Plain text that happens to start like JSON
+    }
+  }
+  return line;
+}
+
+/**
+ * Collects line count, stage ranges and the build result from log lines
+ */
+class LogScanner {
+  constructor() {
+    this.lines = 0;
+    this.stages = [];
+    this.result = null;
+    this.stack = [];
+  }
+
+  /**
+   * @returns {boolean} true if the line opened or closed a block
+   */
+  push(line) {
+    const text = lineText(line);
+    this.lines++;
+
+    const start = text.match(BLOCK_START);
+    if (start) {
+      let stage = null;
+      if (start[1]) {
+        const parents = this.stack.filter(Boolean).map(open => open.name);
+        stage = { name: [...parents, start[1]].join(' / '), from: this.lines, to: null };
+        this.stages.push(stage);
+      }
+      this.stack.push(stage);
+      return true;
+    }
+    if (BLOCK_END.test(text)) {
+      const stage = this.stack.pop();
+      if (stage) stage.to = this.lines;
+      return true;
+    }
+    const finished = text.match(FINISHED);
+    if (finished) this.result = finished[1];
+    return false;
+  }
+
+  /**
+   * Innermost open stage ("Parent / Child"), or null outside stages
+   */
+  get currentStage() {
+    const open = this.stack.filter(Boolean);
+    return open.length > 0 ? open[open.length - 1].name : null;
+  }
+
+  finish() {
+    this.stages.filter(stage => stage.to === null).forEach(stage => { stage.to = this.lines; });
+    return { lines: this.lines, stages: this.stages, result: this.result };
+  }
+}
+
+module.exports = LogScanner;
+module.exports.lineText = lineText;
@@ -1,8 +1,23 @@
 /**
  * Centralized logging configuration using Winston
+ *
+ * Child loggers carry correlation fields (runId, actionIdentifier, jobName,
+ * buildNumber) into every line: they are appended to console lines and are
+ * top-level fields of JSON lines.
+ *
+ *   const runLogger = logger.child({ runId, actionIdentifier });
+ *   runLogger.info('Triggering build'); // {"runId":"r_...","actionIdentifier":"deploy",...}
  */
 
+require('dotenv').config();
 const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const SecretMasker = require('./secret-masker');
+
+/**
+ * Correlation fields shown on console lines, in order
+ */
+const CONTEXT_FIELDS = ['runId', 'actionIdentifier', 'jobName', 'buildNumber'];
 
 // Define log levels
 const levels = {
@@ -24,45 +39,81 @@ const colors = {
 
 winston.addColors(colors);
 
-// Define log format
-const format = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-  winston.format.colorize({ all: true }),
-  winston.format.printf(
-    (info) => `${info.timestamp} [${info.level}]: ${info.message}`
-  )
+// Mask credentials in every log message (built lazily, after dotenv has loaded)
+let masker = null;
+const maskSecrets = winston.format((info) => {
+  masker = masker || SecretMasker.fromEnv();
+  if (typeof info.message === 'string') {
+    info.message = masker.mask(info.message);
+  }
+  return info;
+});
+
+/**
+ * Correlation fields of a log entry, e.g. "[r_abc123 deploy_service team/app #42]"
+ */
+function formatContext(info) {
+  const [runId, actionIdentifier, jobName, buildNumber] = CONTEXT_FIELDS.map(field => info[field]);
+  const build = jobName && buildNumber ? `${jobName} #${buildNumber}` : jobName;
+  const parts = [runId, actionIdentifier, build].filter(Boolean);
+  return parts.length > 0 ? ` [${parts.join(' ')}]` : '';
+}
+
+// One JSON object per line, with the correlation fields at the top level
+const jsonFormat = winston.format.combine(
+  maskSecrets(),
+  winston.format.timestamp(),
+  winston.format.json()
 );
 
+// Console format: LOG_FORMAT=json for log collectors, human readable otherwise
+const consoleFormat = (process.env.LOG_FORMAT || 'pretty').toLowerCase() === 'json'
+  ? jsonFormat
+  : winston.format.combine(
+    maskSecrets(),
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.colorize({ all: true }),
+    winston.format.printf(
+      (info) => `${info.timestamp} [${info.level}]${formatContext(info)}: ${info.message}`
+    )
+  );
+
+/**
+ * File transport rotated by date and size
+ * logs/<name>.log links to the current file; rotated files are
+ * logs/<name>-<date>.log(.N) and are deleted after LOG_RETENTION.
+ */
+function rotatingFile(name, options = {}) {
+  return new DailyRotateFile({
+    dirname: 'logs',
+    filename: `${name}-%DATE%.log`,
+    datePattern: process.env.LOG_ROTATE_DATE_PATTERN || 'YYYY-MM-DD',
+    maxSize: process.env.LOG_MAX_SIZE || '20m',
+    maxFiles: process.env.LOG_RETENTION || '14d',
+    createSymlink: true,
+    symlinkName: `${name}.log`,
+    auditFile: `logs/.${name}-audit.json`,
+    format: jsonFormat,
+    ...options,
+  });
+}
+
 // Define transports
 const transports = [
   // Console transport
-  new winston.transports.Console(),
+  new winston.transports.Console({ format: consoleFormat }),
   
   // File transport for errors
-  new winston.transports.File({
-    filename: 'logs/error.log',
-    level: 'error',
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    ),
-  }),
+  rotatingFile('error', { level: 'error' }),
   
   // File transport for all logs
-  new winston.transports.File({
-    filename: 'logs/combined.log',
-    format: winston.format.combine(
-      winston.format.timestamp(),
-      winston.format.json()
-    ),
-  }),
+  rotatingFile('combined'),
 ];
 
 // Create logger instance
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   levels,
-  format,
   transports,
 });
 
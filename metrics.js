@@ -0,0 +1,132 @@
+/**
+ * Prometheus metrics shared by the consumer and the webhook server
+ * Each process exposes its own registry on /metrics; metrics a process does
+ * not use simply stay empty.
+ */
+
+const client = require('prom-client');
+const logger = require('./logger');
+
+const PREFIX = 'port_jenkins_';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+/**
+ * Callbacks refreshing gauges right before a scrape
+ */
+const collectors = [];
+
+function counter(name, help, labelNames = []) {
+  return new client.Counter({ name: PREFIX + name, help, labelNames, registers: [registry] });
+}
+
+function gauge(name, help, labelNames = []) {
+  return new client.Gauge({ name: PREFIX + name, help, labelNames, registers: [registry] });
+}
+
+function histogram(name, help, labelNames, buckets) {
+  return new client.Histogram({ name: PREFIX + name, help, labelNames, buckets, registers: [registry] });
+}
+
+// Kafka
+const kafkaMessagesConsumed = counter('kafka_messages_consumed_total', 'Kafka messages consumed', ['topic']);
+const kafkaConsumerLag = gauge('kafka_consumer_lag', 'Messages behind the partition high watermark after the last batch', ['topic', 'partition']);
+const kafkaConnected = gauge('kafka_connected', '1 while the consumer is connected to Kafka');
+
+// Action runs
+const runsTotal = counter('runs_total', 'Action runs finished, by action and result (SUCCESS, FAILURE, CANCELLED)', ['action', 'result']);
+const runsInProgress = gauge('runs_in_progress', 'Action runs being processed');
+
+// Jenkins
+const jenkinsTriggerSeconds = histogram('jenkins_trigger_duration_seconds', 'Time for Jenkins to accept a build trigger', ['server'],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+const jenkinsQueueSeconds = histogram('jenkins_queue_wait_seconds', 'Time a triggered build waited in the Jenkins queue', ['server'],
+  [1, 5, 15, 30, 60, 120, 300, 600, 1800]);
+const jenkinsBuildSeconds = histogram('jenkins_build_duration_seconds', 'Duration of finished Jenkins builds', ['job', 'result'],
+  [10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200]);
+
+// Logs
+const logBytesStreamed = counter('log_bytes_streamed_total', 'Bytes of build log read from Jenkins', ['source']);
+const logLinesStreamed = counter('log_lines_streamed_total', 'Lines of build log read from Jenkins', ['source']);
+const portLogLines = counter('port_log_lines_total', 'Log lines shipped to Port runs, by outcome (sent, dropped)', ['outcome']);
+
+// Port API
+const portApiRequests = counter('port_api_requests_total', 'Port API calls by operation and HTTP status (0 for network errors)', ['operation', 'status']);
+const portApiSeconds = histogram('port_api_request_duration_seconds', 'Port API call latency', ['operation'],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const portTokenRefreshes = counter('port_token_refreshes_total', 'Port access token fetches, by outcome (success, failure)', ['outcome']);
+
+// Webhook server
+const webhooksReceived = counter('webhooks_received_total', 'Webhook notifications by outcome (accepted, invalid, forbidden)', ['outcome']);
+const webhookActiveCaptures = gauge('webhook_active_captures', 'Builds being captured by the webhook server');
+const buildStreamViewers = gauge('build_stream_viewers', 'Live log stream subscribers');
+
+/**
+ * PortClient hooks recording every Port API call
+ */
+const portApiHooks = {
+  onResponse: ({ operation, status, durationMs }) => {
+    portApiRequests.inc({ operation, status: String(status || 0) });
+    portApiSeconds.observe({ operation }, durationMs / 1000);
+  },
+};
+
+/**
+ * Count a chunk of build log read from Jenkins
+ * @param {string} source - 'consumer' or 'webhook'
+ */
+function recordLogChunk(source, text) {
+  if (!text) return;
+  logBytesStreamed.inc({ source }, Buffer.byteLength(text));
+  const lines = (text.match(/\n/g) || []).length;
+  if (lines > 0) {
+    logLinesStreamed.inc({ source }, lines);
+  }
+}
+
+/**
+ * Register a callback run before each scrape (e.g. to set gauges from live state)
+ */
+function onCollect(callback) {
+  collectors.push(callback);
+}
+
+/**
+ * Express handler serving the registry in Prometheus text format
+ */
+async function metricsHandler(req, res) {
+  try {
+    collectors.forEach(callback => callback());
+    res.set('Content-Type', registry.contentType);
+    res.end(await registry.metrics());
+  } catch (error) {
+    logger.error('Failed to render metrics:', error.message);
+    res.status(500).end(error.message);
+  }
+}
+
+module.exports = {
+  registry,
+  kafkaMessagesConsumed,
+  kafkaConsumerLag,
+  kafkaConnected,
+  runsTotal,
+  runsInProgress,
+  jenkinsTriggerSeconds,
+  jenkinsQueueSeconds,
+  jenkinsBuildSeconds,
+  logBytesStreamed,
+  logLinesStreamed,
+  portLogLines,
+  portApiRequests,
+  portApiSeconds,
+  portTokenRefreshes,
+  webhooksReceived,
+  webhookActiveCaptures,
+  buildStreamViewers,
+  portApiHooks,
+  recordLogChunk,
+  onCollect,
+  metricsHandler,
+};
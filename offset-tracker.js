@@ -0,0 +1,82 @@
+/**
+ * Tracks in-flight Kafka offsets per topic-partition
+ * Messages finish out of order, but a committed offset means "everything
+ * before this is done". The committable offset is therefore the lowest offset
+ * still in flight, or one past the highest completed offset when none are.
+ */
+function splitKey(key) {
+  const separator = key.lastIndexOf(':');
+  return [key.slice(0, separator), parseInt(key.slice(separator + 1), 10)];
+}
+
+class OffsetTracker {
+  constructor() {
+    this.partitions = new Map();
+  }
+
+  state(topic, partition) {
+    const key = `${topic}:${partition}`;
+    if (!this.partitions.has(key)) {
+      this.partitions.set(key, { inFlight: new Set(), highestDone: null, committed: null });
+    }
+    return this.partitions.get(key);
+  }
+
+  /**
+   * Record that processing of a message started
+   */
+  begin(topic, partition, offset) {
+    this.state(topic, partition).inFlight.add(BigInt(offset));
+  }
+
+  /**
+   * Record that a message reached a terminal state
+   * @returns {string|null} Offset to commit, or null if the committable offset did
+   *   not advance or the partition was revoked since the message started
+   */
+  complete(topic, partition, offset) {
+    const state = this.partitions.get(`${topic}:${partition}`);
+    const done = BigInt(offset);
+    if (!state || !state.inFlight.delete(done)) return null;
+    if (state.highestDone === null || done > state.highestDone) {
+      state.highestDone = done;
+    }
+
+    let next = state.highestDone + 1n;
+    for (const pending of state.inFlight) {
+      if (pending < next) next = pending;
+    }
+
+    if (state.committed !== null && next <= state.committed) {
+      return null;
+    }
+    state.committed = next;
+    return next.toString();
+  }
+
+  /**
+   * Number of in-flight messages across all partitions
+   */
+  inFlightCount() {
+    let count = 0;
+    for (const state of this.partitions.values()) {
+      count += state.inFlight.size;
+    }
+    return count;
+  }
+
+  /**
+   * Forget partitions after a rebalance; their new owner starts from the committed offset
+   * @param {Object<string, Array<number>>} assignment - Partitions still assigned, by topic (none kept when omitted)
+   */
+  reset(assignment = {}) {
+    for (const key of this.partitions.keys()) {
+      const [topic, partition] = splitKey(key);
+      if (!(assignment[topic] || []).includes(partition)) {
+        this.partitions.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = OffsetTracker;
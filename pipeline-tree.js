@@ -0,0 +1,431 @@
+const { STAGE_STATUS } = require('./jenkins-log-capture');
+
+/**
+ * Lines like "Starting building: team » service #12" written by the `build` step
+ */
+const DOWNSTREAM_LINE = /Starting building: (.+?) #(\d+)/g;
+
+/**
+ * Longest status label sent to Port
+ */
+const MAX_LABEL_LENGTH = 250;
+
+const STATUS_ICONS = {
+  SUCCESS: '✅',
+  FAILED: '❌',
+  UNSTABLE: '⚠️',
+  ABORTED: '⛔',
+  IN_PROGRESS: '⏳',
+  PAUSED_PENDING_INPUT: '⏸️',
+  NOT_EXECUTED: '⏭️',
+  QUEUED: '🕒',
+};
+
+/**
+ * Format a duration as "850ms", "12.3s" or "2m 05s"
+ */
+function formatDuration(ms) {
+  if (!ms && ms !== 0) return '';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Status of a build (api/json) in stage status terms
+ */
+function buildStatusOf(build) {
+  if (!build) return 'QUEUED';
+  if (build.building) return STAGE_STATUS.IN_PROGRESS;
+  if (build.result === 'FAILURE') return STAGE_STATUS.FAILED;
+  if (build.result === 'NOT_BUILT') return STAGE_STATUS.NOT_EXECUTED;
+  return build.result || STAGE_STATUS.IN_PROGRESS;
+}
+
+/**
+ * Status of a Blue Ocean node in stage status terms
+ */
+function nodeStatusOf(node) {
+  switch (node.state) {
+    case 'RUNNING':
+      return STAGE_STATUS.IN_PROGRESS;
+    case 'PAUSED':
+      return 'PAUSED_PENDING_INPUT';
+    case 'SKIPPED':
+    case 'NOT_BUILT':
+      return STAGE_STATUS.NOT_EXECUTED;
+    case 'FINISHED':
+      if (node.result === 'FAILURE') return STAGE_STATUS.FAILED;
+      if (node.result === 'NOT_BUILT') return STAGE_STATUS.NOT_EXECUTED;
+      return node.result || STAGE_STATUS.SUCCESS;
+    default:
+      return 'QUEUED';
+  }
+}
+
+/**
+ * Nest Blue Ocean nodes into stages and branches
+ * A branch (PARALLEL) belongs to the stage it forks from and a stage whose
+ * first parent is a branch is nested in it; any other stage follows its first
+ * parent, so it is that node's sibling.
+ * @returns {Array<Object>} Top-level tree nodes
+ */
+function nestPipelineNodes(nodes) {
+  const byId = new Map(nodes.map(node => [node.id, {
+    id: node.id,
+    type: node.type === 'PARALLEL' ? 'branch' : 'stage',
+    name: node.name,
+    status: nodeStatusOf(node),
+    durationMillis: node.durationMillis,
+    children: [],
+  }]));
+  const sources = new Map(nodes.map(node => [node.id, node]));
+  const roots = [];
+
+  const parentOf = (node, guard = 0) => {
+    const first = node.firstParent && sources.get(node.firstParent);
+    if (!first || guard > nodes.length) return null;
+    if (node.type === 'PARALLEL' || first.type === 'PARALLEL') return first;
+    return parentOf(first, guard + 1);
+  };
+
+  for (const node of nodes) {
+    const parent = parentOf(node);
+    (parent ? byId.get(parent.id).children : roots).push(byId.get(node.id));
+  }
+  return roots;
+}
+
+/**
+ * Tree nodes from the flat wfapi/describe stage list (no Blue Ocean)
+ */
+function stagesToTreeNodes(stages) {
+  return stages.map(stage => ({
+    id: stage.name,
+    type: 'stage',
+    name: stage.name,
+    status: stage.status,
+    durationMillis: stage.durationMillis,
+    children: [],
+  }));
+}
+
+function nodeTitle(node) {
+  if (node.type === 'build') return `${node.jobName} #${node.buildNumber}`;
+  if (node.type === 'branch') return `[${node.name}]`;
+  return node.name;
+}
+
+/**
+ * Render a tree as indented text with results and durations
+ */
+function renderTree(root) {
+  const lines = [];
+  const visit = (node, indent, isLast, isRoot) => {
+    const icon = STATUS_ICONS[node.status] || '•';
+    const duration = node.durationMillis ? ` (${formatDuration(node.durationMillis)})` : '';
+    const branch = isRoot ? '' : `${indent}${isLast ? '└─ ' : '├─ '}`;
+    const kind = node.type === 'build' && !isRoot ? 'downstream ' : '';
+    lines.push(`${branch}${icon} ${kind}${nodeTitle(node)} ${node.status}${duration}`);
+    const childIndent = isRoot ? '' : `${indent}${isLast ? '   ' : '│  '}`;
+    node.children.forEach((child, index) => visit(child, childIndent, index === node.children.length - 1, false));
+  };
+  visit(root, '', true, true);
+  return lines.join('\n');
+}
+
+/**
+ * One-line form of a tree for a status label
+ * Durations are only shown for finished nodes so the label only changes on
+ * transitions.
+ */
+function formatTreeLabel(nodes, maxLength = MAX_LABEL_LENGTH) {
+  const format = (node) => {
+    const icon = STATUS_ICONS[node.status] || '•';
+    const duration = node.status !== STAGE_STATUS.IN_PROGRESS && node.durationMillis
+      ? ` ${formatDuration(node.durationMillis)}`
+      : '';
+    const children = node.children.length > 0 ? ` (${node.children.map(format).join(', ')})` : '';
+    return `${nodeTitle(node)} ${icon}${duration}${children}`;
+  };
+  const label = nodes.filter(node => node.status !== STAGE_STATUS.NOT_EXECUTED).map(format).join(' | ');
+  return label.length > maxLength ? `${label.slice(0, maxLength - 1)}…` : label;
+}
+
+/**
+ * Every node of a tree with its path (e.g. "Test › [e2e] › Chrome")
+ */
+function flattenTree(nodes, prefix = '') {
+  return nodes.flatMap(node => {
+    const path = prefix ? `${prefix} › ${nodeTitle(node)}` : nodeTitle(node);
+    return [{ path, node }, ...flattenTree(node.children, path)];
+  });
+}
+
+/**
+ * Prefix every line of a block of whole lines
+ */
+function prefixLines(text, prefix) {
+  if (!text) return '';
+  return text.replace(/^(?=.)/gm, prefix);
+}
+
+/**
+ * Follows the structure of a pipeline build
+ * Polls the build's flow nodes (stages, parallel branches, nested stages) and
+ * the builds it starts downstream, and streams branch and downstream logs with
+ * a `[branch]` / `[job #N]` prefix. Downstream builds are followed recursively
+ * up to maxDepth levels.
+ */
+class PipelineFollower {
+  /**
+   * @param {Object} options
+   * @param {JenkinsLogCapture} options.capture - Client of the build's Jenkins server
+   * @param {string} options.jobName
+   * @param {number} options.buildNumber
+   * @param {number} options.maxDepth - Downstream levels to follow (0 = none)
+   * @param {boolean} options.branchLogs - Stream the logs of parallel branches (off by default)
+   * @param {number} options.detailInterval - Minimum time (ms) between polls of branch logs and downstream builds
+   * @param {function(): {write: function(string): string, end: function(): string}} options.createPipeline - Line-buffering masker/normaliser for one log source
+   * @param {function(string)} options.onLog - Receives whole, prefixed lines
+   * @param {boolean} options.skipExistingLogs - Resumed run: skip branch log text already written and downstream builds already finished
+   * @param {AbortSignal} options.signal
+   */
+  constructor(options) {
+    this.capture = options.capture;
+    this.jobName = options.jobName;
+    this.buildNumber = options.buildNumber;
+    this.depth = options.depth || 0;
+    this.maxDepth = options.maxDepth ?? 3;
+    this.branchLogs = Boolean(options.branchLogs);
+    this.detailInterval = options.detailInterval ?? 5000;
+    this.createPipeline = options.createPipeline;
+    this.onLog = options.onLog || (() => {});
+    this.skipExistingLogs = Boolean(options.skipExistingLogs);
+    this.prefix = options.prefix || '';
+    this.signal = options.signal || null;
+
+    this.build = null;
+    this.nodes = [];
+    this.hasNodeGraph = true;
+    this.downstream = new Map();
+    this.branches = new Map();
+    this.refreshing = null;
+    this.lastDetailPoll = 0;
+
+    // Stops downstream streams left running when this build is done
+    this.controller = new AbortController();
+    if (this.signal) {
+      this.signal.addEventListener('abort', () => this.controller.abort(this.signal.reason), { once: true });
+    }
+  }
+
+  /**
+   * The build and everything below it
+   */
+  get tree() {
+    return {
+      type: 'build',
+      jobName: this.jobName,
+      buildNumber: this.buildNumber,
+      status: buildStatusOf(this.build),
+      durationMillis: this.build
+        ? (this.build.building ? Date.now() - this.build.timestamp : this.build.duration)
+        : 0,
+      children: [
+        ...this.nodes,
+        ...Array.from(this.downstream.values()).map(child => child.tree),
+      ],
+    };
+  }
+
+  /**
+   * Look for downstream builds in log text of this build
+   */
+  scanLog(text) {
+    if (!text || !text.includes('Starting building:')) return;
+    for (const match of text.matchAll(DOWNSTREAM_LINE)) {
+      // Console links show folders as "a » b"
+      this.addDownstream(match[1].split(' » ').join('/'), parseInt(match[2], 10));
+    }
+  }
+
+  /**
+   * Refresh the build and its nodes; downstream builds and branch logs are
+   * polled at most once per detailInterval unless forced
+   * Concurrent calls share one refresh; a forced call made while an unforced
+   * one runs refreshes again once it is done.
+   */
+  refresh(force = false) {
+    if (this.refreshing && force) {
+      const again = () => this.refresh(true);
+      return this.refreshing.then(again, again);
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.doRefresh(force).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async doRefresh(force) {
+    try {
+      this.build = await this.capture.getBuildStatus(this.buildNumber, this.jobName);
+    } catch (error) {
+      this.capture.logger.debug(`Could not refresh ${this.jobName} #${this.buildNumber}: ${error.message}`);
+    }
+
+    try {
+      const nodes = this.hasNodeGraph ? await this.capture.getPipelineNodes(this.buildNumber, this.jobName) : null;
+      if (nodes) {
+        this.nodes = nestPipelineNodes(nodes);
+      } else {
+        this.hasNodeGraph = false;
+        this.nodes = stagesToTreeNodes(await this.capture.getAllStages(this.buildNumber, this.jobName));
+      }
+    } catch (error) {
+      this.capture.logger.debug(`Stage check error: ${error.message}`);
+    }
+
+    if (!force && Date.now() - this.lastDetailPoll < this.detailInterval) return;
+    this.lastDetailPoll = Date.now();
+
+    if (this.depth < this.maxDepth) {
+      const builds = await this.capture.getDownstreamBuilds(this.buildNumber, this.jobName);
+      builds.forEach(build => this.addDownstream(build.jobName, build.buildNumber));
+    }
+
+    if (this.branchLogs && this.hasNodeGraph) {
+      await this.pollBranchLogs();
+    }
+
+    await Promise.all(Array.from(this.downstream.values()).map(child => child.refresh(force)));
+  }
+
+  /**
+   * Stream new log text of every parallel branch
+   */
+  async pollBranchLogs() {
+    const branchNodes = flattenTree(this.nodes).filter(({ node }) => node.type === 'branch');
+
+    for (const { node } of branchNodes) {
+      let branch = this.branches.get(node.id);
+      if (!branch) {
+        branch = { offset: null, done: false, pipeline: this.createPipeline(), prefix: `${this.prefix}[${node.name}] ` };
+        this.branches.set(node.id, branch);
+      }
+      if (branch.done || node.status === 'QUEUED') continue;
+
+      try {
+        if (branch.offset === null && this.skipExistingLogs) {
+          branch.offset = (await this.capture.getNodeLog(this.buildNumber, node.id, 0, this.jobName)).nextOffset;
+          continue;
+        }
+        const { text, nextOffset, more } = await this.capture.getNodeLog(this.buildNumber, node.id, branch.offset || 0, this.jobName);
+        branch.offset = nextOffset;
+        this.emit(branch.pipeline.write(text), branch.prefix);
+
+        if (!more && node.status !== STAGE_STATUS.IN_PROGRESS) {
+          branch.done = true;
+          this.emit(branch.pipeline.end(), branch.prefix);
+        }
+      } catch (error) {
+        this.capture.logger.debug(`Could not read log of branch ${node.name}: ${error.message}`);
+      }
+    }
+  }
+
+  emit(text, prefix) {
+    if (text) {
+      this.onLog(prefixLines(text, prefix));
+    }
+  }
+
+  /**
+   * Start following a downstream build (once, within the depth limit)
+   */
+  addDownstream(jobName, buildNumber) {
+    const key = `${jobName}#${buildNumber}`;
+    if (this.depth >= this.maxDepth || this.downstream.has(key)) return;
+
+    this.capture.logger.info(`🔀 Following downstream build ${key} of ${this.jobName} #${this.buildNumber}`);
+    const child = new PipelineFollower({
+      capture: this.capture,
+      jobName,
+      buildNumber,
+      depth: this.depth + 1,
+      maxDepth: this.maxDepth,
+      branchLogs: this.branchLogs,
+      detailInterval: this.detailInterval,
+      createPipeline: this.createPipeline,
+      onLog: this.onLog,
+      skipExistingLogs: this.skipExistingLogs,
+      prefix: `${this.prefix}[${jobName} #${buildNumber}] `,
+      signal: this.controller.signal,
+    });
+    this.downstream.set(key, child);
+    child.streaming = child.streamOwnLog();
+  }
+
+  /**
+   * Stream this (downstream) build's console log with its prefix
+   */
+  async streamOwnLog() {
+    // A resumed run does not re-post downstream builds that already finished
+    if (this.skipExistingLogs) {
+      const status = await this.capture.getBuildStatus(this.buildNumber, this.jobName).catch(() => null);
+      if (status && !status.building) return;
+    }
+
+    const pipeline = this.createPipeline();
+
+    try {
+      await this.capture.streamLogs(this.buildNumber, (chunk) => {
+        const text = pipeline.write(chunk);
+        this.scanLog(text);
+        this.emit(text, this.prefix);
+      }, 2000, this.jobName, { signal: this.controller.signal });
+      this.emit(pipeline.end(), this.prefix);
+    } catch (error) {
+      if (!this.controller.signal.aborted) {
+        this.capture.logger.warn(`Stopped streaming downstream build ${this.jobName} #${this.buildNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Final refresh once the build is done: waits (up to waitMs) for downstream
+   * streams to end, then stops the ones still running
+   */
+  async finish(waitMs = 10000) {
+    await this.refresh(true);
+
+    const children = Array.from(this.downstream.values());
+    let timer;
+    await Promise.race([
+      Promise.all(children.map(child => child.streaming.then(() => child.finish(waitMs)))),
+      new Promise(resolve => { timer = setTimeout(resolve, waitMs); }),
+    ]);
+    clearTimeout(timer);
+    this.stop();
+  }
+
+  stop() {
+    if (!this.controller.signal.aborted) {
+      this.controller.abort(new Error('Pipeline follower stopped'));
+    }
+    this.downstream.forEach(child => child.stop());
+  }
+}
+
+module.exports = PipelineFollower;
+module.exports.MAX_LABEL_LENGTH = MAX_LABEL_LENGTH;
+module.exports.formatDuration = formatDuration;
+module.exports.nestPipelineNodes = nestPipelineNodes;
+module.exports.renderTree = renderTree;
+module.exports.formatTreeLabel = formatTreeLabel;
+module.exports.flattenTree = flattenTree;
+module.exports.prefixLines = prefixLines;
@@ -0,0 +1,213 @@
+const axios = require('./axios-config');
+const logger = require('./logger');
+const PortTokenManager = require('./port-token-manager');
+const { resolvePortUrls } = require('./port-token-manager');
+
+/**
+ * Error from a Port API call
+ * Carries the HTTP status (null for network errors), Port's error body and
+ * the response headers (e.g. retry-after).
+ */
+class PortApiError extends Error {
+  constructor({ operation, method, path, status = null, body = null, headers = {}, cause }) {
+    const detail = body?.message || body?.error || cause?.message || 'request failed';
+    super(`Port API ${operation} (${method.toUpperCase()} ${path}) failed${status ? ` with ${status}` : ''}: ${detail}`);
+    this.name = 'PortApiError';
+    this.operation = operation;
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+    // Same shape as an axios error for callers that inspect error.response
+    this.response = status ? { status, data: body, headers } : undefined;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Port REST API client
+ * Wraps the calls the consumer and the webhook server make (runs, run logs,
+ * entities, blueprints, search) with the shared access token. Every call
+ * goes through request(), which runs the onRequest/onResponse hooks and turns
+ * failures into PortApiError.
+ *
+ * Hooks receive { operation, method, path } and, for onResponse, also
+ * { status, durationMs, error }. Hook errors are logged and ignored.
+ */
+class PortClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - Port API base URL (default from PORT_API_URL / PORT_REGION)
+   * @param {string} options.appUrl - Port app URL, used for run links
+   * @param {string} options.region - eu or us
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   * @param {PortTokenManager} options.tokenManager - Defaults to the manager shared by the process
+   * @param {{onRequest: Function, onResponse: Function}} options.hooks
+   */
+  constructor({ apiUrl, appUrl, region, clientId, clientSecret, tokenManager, hooks = {} } = {}) {
+    const urls = resolvePortUrls({ apiUrl, appUrl, region });
+    this.apiUrl = urls.apiUrl;
+    this.appUrl = urls.appUrl;
+    this.tokenManager = tokenManager || PortTokenManager.shared({ apiUrl: this.apiUrl, clientId, clientSecret });
+    this.hooks = { onRequest: [], onResponse: [] };
+    this.addHooks(hooks);
+  }
+
+  /**
+   * Client from PORT_CLIENT_ID / PORT_CLIENT_SECRET, or null when they are not set
+   */
+  static fromEnv(options = {}) {
+    const clientId = options.clientId || process.env.PORT_CLIENT_ID;
+    const clientSecret = options.clientSecret || process.env.PORT_CLIENT_SECRET;
+    if (!clientId || !clientSecret) {
+      return null;
+    }
+    return new PortClient({ ...options, clientId, clientSecret });
+  }
+
+  /**
+   * Register request/response hooks (e.g. for metrics)
+   */
+  addHooks({ onRequest, onResponse } = {}) {
+    if (onRequest) this.hooks.onRequest.push(onRequest);
+    if (onResponse) this.hooks.onResponse.push(onResponse);
+  }
+
+  runHooks(type, info) {
+    for (const hook of this.hooks[type]) {
+      try {
+        hook(info);
+      } catch (error) {
+        logger.debug(`Port client ${type} hook failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Send a request with the shared access token
+   * A 401 refreshes the token and retries the request once.
+   * @param {string} operation - Name of the call (for hooks and errors)
+   * @param {Object} request - axios request config, url relative to the API base URL
+   * @returns {Promise<Object>} Response body
+   * @throws {PortApiError}
+   */
+  async request(operation, request) {
+    const method = (request.method || 'get').toLowerCase();
+    const info = { operation, method, path: request.url };
+    const startedAt = Date.now();
+    this.runHooks('onRequest', info);
+
+    try {
+      const response = await this.tokenManager.withToken(token => axios.request({
+        ...request,
+        method,
+        url: `${this.apiUrl}${request.url}`,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...request.headers,
+        },
+      }));
+      this.runHooks('onResponse', { ...info, status: response.status, durationMs: Date.now() - startedAt, error: null });
+      return response.data;
+    } catch (cause) {
+      const error = new PortApiError({
+        ...info,
+        status: cause.response?.status ?? null,
+        body: cause.response?.data ?? null,
+        headers: cause.response?.headers || {},
+        cause,
+      });
+      this.runHooks('onResponse', { ...info, status: error.status, durationMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Link to a run in the Port app
+   */
+  runUrl(runId) {
+    return `${this.appUrl}/organization/run?runId=${runId}`;
+  }
+
+  // Action runs
+
+  async getRun(runId) {
+    const data = await this.request('getRun', { method: 'get', url: `/actions/runs/${runId}` });
+    return data.run;
+  }
+
+  /**
+   * @param {Object} updates - { status, statusLabel, link, summary, ... }
+   */
+  updateRun(runId, updates) {
+    return this.request('updateRun', { method: 'patch', url: `/actions/runs/${runId}`, data: updates });
+  }
+
+  /**
+   * Append a log message to a run, optionally ending it
+   * @param {Object} options - { terminationStatus, statusLabel }
+   * @param {Object} requestOptions - Extra axios options (e.g. disable global retries)
+   */
+  addRunLog(runId, message, { terminationStatus = null, statusLabel = null } = {}, requestOptions = {}) {
+    const body = { message };
+    if (terminationStatus) body.terminationStatus = terminationStatus;
+    if (statusLabel) body.statusLabel = statusLabel;
+
+    return this.request('addRunLog', { ...requestOptions, method: 'post', url: `/actions/runs/${runId}/logs`, data: body });
+  }
+
+  // Entities
+
+  /**
+   * Create or update an entity
+   * @param {Object} options - { runId, upsert, merge } and other query parameters
+   */
+  upsertEntity(blueprintId, entity, { runId = null, ...query } = {}) {
+    const params = runId ? { ...query, run_id: runId } : query;
+    return this.request('upsertEntity', { method: 'post', url: `/blueprints/${blueprintId}/entities`, data: entity, params });
+  }
+
+  async getEntity(blueprintId, identifier) {
+    const data = await this.request('getEntity', {
+      method: 'get',
+      url: `/blueprints/${blueprintId}/entities/${encodeURIComponent(identifier)}`,
+    });
+    return data.entity;
+  }
+
+  deleteEntity(blueprintId, identifier, { runId = null } = {}) {
+    return this.request('deleteEntity', {
+      method: 'delete',
+      url: `/blueprints/${blueprintId}/entities/${encodeURIComponent(identifier)}`,
+      params: runId ? { run_id: runId } : {},
+    });
+  }
+
+  /**
+   * Search entities
+   * @param {Object} query - Port search query ({ combinator, rules })
+   * @returns {Promise<Array<Object>>} Matching entities
+   */
+  async searchEntities(query) {
+    const data = await this.request('searchEntities', { method: 'post', url: '/entities/search', data: query });
+    return data.entities || [];
+  }
+
+  // Blueprints
+
+  async getBlueprint(blueprintId) {
+    const data = await this.request('getBlueprint', { method: 'get', url: `/blueprints/${blueprintId}` });
+    return data.blueprint;
+  }
+
+  async createBlueprint(blueprint) {
+    const data = await this.request('createBlueprint', { method: 'post', url: '/blueprints', data: blueprint });
+    return data.blueprint;
+  }
+}
+
+module.exports = PortClient;
+module.exports.PortApiError = PortApiError;
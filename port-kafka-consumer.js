@@ -7,8 +7,9 @@
  * Features:
  * - Generic parameter pass-through: Any properties defined in Port actions are
  *   automatically passed to Jenkins as build parameters
- * - Flexible action handling: Add custom handlers for specific actions or use
- *   the default generic deployment handler
+ * - Flexible action handling: Register handlers by action identifier, glob or
+ *   RegExp (or drop modules into ACTION_HANDLERS_DIR); unmatched actions go to
+ *   the configurable default handler
  * - Real-time Jenkins log streaming to Port
  * 
  * Usage:
@@ -18,12 +19,41 @@
  */
 
 const { Kafka } = require('kafkajs');
+const express = require('express');
+const path = require('path');
 const axios = require('./axios-config');
 const JenkinsLogCapture = require('./jenkins-log-capture');
-const { BUILD_STATUS, STAGE_STATUS } = require('./jenkins-log-capture');
+const JenkinsServerRegistry = require('./jenkins-servers');
+const { BUILD_STATUS, STAGE_STATUS, sleep } = require('./jenkins-log-capture');
+const ActionHandlerRegistry = require('./action-handler-registry');
+const RunStateStore = require('./run-state-store');
+const WorkerPool = require('./worker-pool');
+const { parseKeyLimits } = require('./worker-pool');
+const OffsetTracker = require('./offset-tracker');
+const SeenRunSet = require('./seen-run-set');
+const TokenBucket = require('./token-bucket');
+const PortLogShipper = require('./port-log-shipper');
+const PipelineFollower = require('./pipeline-tree');
+const { renderTree, formatTreeLabel, flattenTree } = require('./pipeline-tree');
+const SecretMasker = require('./secret-masker');
+const { isSecretInput, getSecretInputValues } = require('./secret-masker');
+const { parseLogFormat } = require('./log-normalizer');
+const { loadParameterMapping, mapBuildParameters } = require('./build-parameters');
+const ChangeRuleEngine = require('./change-rules');
+const { loadChangeRules, parseEntityChange, renderTemplate } = require('./change-rules');
+const FailureAnalyzer = require('./failure-analyzer');
+const { BuildFailedError, formatFailureSummary, formatFailureLabel, loadFailureRules } = require('./failure-analyzer');
+const PortClient = require('./port-client');
+const { loadBuildEntityConfig, createBuildEntity, createBuildBlueprint } = require('./build-entity');
+const metrics = require('./metrics');
 const logger = require('./logger');
 require('dotenv').config();
 
+/**
+ * Query strings longer than this are sent as a form body instead
+ */
+const MAX_QUERY_LENGTH = 2000;
+
 class PortKafkaConsumer {
   constructor(config) {
     this.config = {
@@ -34,22 +64,122 @@ class PortKafkaConsumer {
       kafkaUsername: config.kafkaUsername || process.env.KAFKA_USERNAME,
       kafkaPassword: config.kafkaPassword || process.env.KAFKA_PASSWORD,
       consumerGroupId: config.consumerGroupId || process.env.KAFKA_CONSUMER_GROUP_ID,
+      actionHandlersDir: config.actionHandlersDir || process.env.ACTION_HANDLERS_DIR || path.join(__dirname, 'handlers'),
+      defaultActionHandler: config.defaultActionHandler || process.env.DEFAULT_ACTION_HANDLER || 'jenkins',
+      runStateFile: config.runStateFile || process.env.RUN_STATE_FILE || './state/active-runs.jsonl',
+      seenRunsFile: config.seenRunsFile || process.env.SEEN_RUNS_FILE || './state/seen-runs.jsonl',
+      seenRunsTtlDays: config.seenRunsTtlDays || parseInt(process.env.SEEN_RUNS_TTL_DAYS, 10) || 7,
+      maxConcurrentRuns: config.maxConcurrentRuns || parseInt(process.env.MAX_CONCURRENT_RUNS, 10) || 5,
+      maxQueuedRuns: config.maxQueuedRuns || parseInt(process.env.MAX_QUEUED_RUNS, 10) || 10,
+      maxRunsPerJob: config.maxRunsPerJob || parseInt(process.env.MAX_CONCURRENT_RUNS_PER_JOB, 10) || 0,
+      jobConcurrencyLimits: config.jobConcurrencyLimits || parseKeyLimits(process.env.JOB_CONCURRENCY_LIMITS),
+      runTimeoutMs: config.runTimeoutMs || parseInt(process.env.RUN_TIMEOUT_MS, 10) || 0,
+      actionTimeouts: config.actionTimeouts || parseKeyLimits(process.env.ACTION_TIMEOUTS),
+      runStatusPollInterval: config.runStatusPollInterval ?? (parseInt(process.env.RUN_STATUS_POLL_INTERVAL_MS, 10) || 15000),
+      logFlushInterval: config.logFlushInterval || parseInt(process.env.PORT_LOG_FLUSH_INTERVAL_MS, 10) || 2000,
+      logMaxMessageSize: config.logMaxMessageSize || parseInt(process.env.PORT_LOG_MAX_MESSAGE_SIZE, 10) || 4000,
+      logRateLimit: config.logRateLimit || parseFloat(process.env.PORT_LOG_RATE_LIMIT) || 5,
+      logRateBurst: config.logRateBurst || parseInt(process.env.PORT_LOG_RATE_BURST, 10) || 10,
+      jenkinsServersFile: config.jenkinsServersFile || process.env.JENKINS_SERVERS_FILE,
+      parameterMappingFile: config.parameterMappingFile || process.env.JENKINS_PARAMETER_MAPPING,
+      portLogFormat: parseLogFormat(config.portLogFormat || process.env.PORT_LOG_FORMAT, 'clean'),
+      stopEscalationMs: config.stopEscalationMs || parseInt(process.env.JENKINS_STOP_ESCALATION_MS, 10) || 30000,
+      consumeChangesTopic: config.consumeChangesTopic ?? process.env.CONSUME_CHANGES_TOPIC === 'true',
+      changeRulesFile: config.changeRulesFile || process.env.CHANGE_RULES_FILE,
+      failureAnalysis: config.failureAnalysis ?? process.env.FAILURE_ANALYSIS !== 'false',
+      failureRulesFile: config.failureRulesFile || process.env.FAILURE_RULES_FILE,
+      failureRulesDefaults: config.failureRulesDefaults ?? process.env.FAILURE_RULES_DEFAULTS !== 'false',
+      buildEntityEnabled: config.buildEntityEnabled ?? process.env.BUILD_ENTITY_ENABLED !== 'false',
+      buildEntityBlueprint: config.buildEntityBlueprint || process.env.BUILD_ENTITY_BLUEPRINT,
+      buildEntityMappingFile: config.buildEntityMappingFile || process.env.BUILD_ENTITY_MAPPING,
+      portAppUrl: config.portAppUrl,
+      pipelineMaxDepth: config.pipelineMaxDepth ?? (parseInt(process.env.PIPELINE_MAX_DEPTH, 10) >= 0 ? parseInt(process.env.PIPELINE_MAX_DEPTH, 10) : 3),
+      pipelineBranchLogs: config.pipelineBranchLogs ?? process.env.PIPELINE_BRANCH_LOGS === 'true',
+      pipelineDetailInterval: config.pipelineDetailInterval || parseInt(process.env.PIPELINE_DETAIL_INTERVAL_MS, 10) || 5000,
+      metricsPort: config.metricsPort ?? (process.env.METRICS_PORT !== undefined ? parseInt(process.env.METRICS_PORT, 10) : 9464),
+      livenessGraceMs: config.livenessGraceMs || parseInt(process.env.LIVENESS_GRACE_MS, 10) || 120000,
     };
 
     // Validate required configuration
     this.validateConfig();
 
-    this.portApiUrl = 'https://api.getport.io/v1';
-    this.accessToken = null;
-    this.tokenExpiry = null;
+    // Masks credentials in everything sent to Port, stdout and files
+    this.masker = config.masker || SecretMasker.fromEnv();
+
+    // Port API client (region or PORT_API_URL) with the access token shared by all Port calls
+    this.port = config.portClient || new PortClient({
+      apiUrl: config.portApiUrl,
+      appUrl: this.config.portAppUrl,
+      region: config.portRegion,
+      clientId: this.config.portClientId,
+      clientSecret: this.config.portClientSecret,
+      tokenManager: config.tokenManager,
+    });
+    this.port.addHooks(metrics.portApiHooks);
 
-    // Initialize Jenkins client
-    this.jenkinsCapture = new JenkinsLogCapture({
-      jenkinsUrl: config.jenkinsUrl || process.env.JENKINS_URL,
+    // Shared rate limit for streamed run logs
+    this.logRateLimiter = new TokenBucket({
+      ratePerSecond: this.config.logRateLimit,
+      capacity: this.config.logRateBurst,
+    });
+
+    // Initialize Jenkins clients: the JENKINS_URL server plus any named
+    // servers from JENKINS_SERVERS_FILE
+    this.jenkinsServers = JenkinsServerRegistry.load(this.config.jenkinsServersFile, {
+      url: config.jenkinsUrl || process.env.JENKINS_URL,
       username: config.jenkinsUsername || process.env.JENKINS_USERNAME,
       apiToken: config.jenkinsApiToken || process.env.JENKINS_API_TOKEN,
       jobName: config.jenkinsJobName || process.env.JENKINS_JOB_NAME,
+    }, {
+      masker: this.masker,
+      queueTimeout: config.jenkinsQueueTimeout || parseInt(process.env.JENKINS_QUEUE_TIMEOUT_MS, 10) || undefined,
+      queueStuckThreshold: config.jenkinsQueueStuckThreshold || parseInt(process.env.JENKINS_QUEUE_STUCK_THRESHOLD_MS, 10) || undefined,
     });
+    this.masker.addSecrets(this.jenkinsServers.secrets());
+
+    // Client of the default server
+    this.jenkinsCapture = this.jenkinsServers.get().capture;
+
+    // Port entity written for every triggered build
+    this.buildEntityConfig = loadBuildEntityConfig(this.config.buildEntityMappingFile, this.config.buildEntityBlueprint);
+
+    // Port input -> Jenkins parameter mapping
+    this.parameterMapping = config.parameterMapping || loadParameterMapping(this.config.parameterMappingFile);
+
+    // Rules acting on entity change events
+    this.changeRules = new ChangeRuleEngine(config.changeRules || loadChangeRules(this.config.changeRulesFile));
+
+    // Rules recognising the cause of failed builds
+    this.failureAnalyzer = new FailureAnalyzer(
+      config.failureRules || loadFailureRules(this.config.failureRulesFile),
+      { defaults: this.config.failureRulesDefaults }
+    );
+
+    // Initialize action handlers
+    this.handlers = new ActionHandlerRegistry();
+    this.registerBuiltinHandlers();
+    this.handlers.loadFromDirectory(this.config.actionHandlersDir);
+
+    // Durable state of in-flight runs (recovered on startup)
+    this.runStore = new RunStateStore(this.config.runStateFile);
+    this.hasRecoveredRuns = false;
+
+    // Deduplication of redelivered run messages
+    this.seenRuns = new SeenRunSet(this.config.seenRunsFile, this.config.seenRunsTtlDays * 24 * 60 * 60 * 1000);
+    this.activeRuns = new Map();
+
+    // Cancellation state of runs being processed (runId -> control)
+    this.runControls = new Map();
+
+    // Bounded concurrency for action runs
+    this.pool = new WorkerPool({
+      maxConcurrent: this.config.maxConcurrentRuns,
+      maxQueued: this.config.maxQueuedRuns,
+      maxPerKey: this.config.maxRunsPerJob,
+      keyLimits: this.config.jobConcurrencyLimits,
+    });
+    this.offsets = new OffsetTracker();
+    this.pausedPartitions = new Map();
 
     // Initialize Kafka client
     this.kafka = new Kafka({
@@ -90,6 +220,62 @@ class PortKafkaConsumer {
     // Track connection state
     this.isConnected = false;
     this.isShuttingDown = false;
+
+    // /metrics and health endpoints (METRICS_PORT)
+    this.httpServer = null;
+    metrics.onCollect(() => {
+      metrics.runsInProgress.set(this.runControls.size);
+      metrics.kafkaConnected.set(this.isConnected ? 1 : 0);
+    });
+  }
+
+  /**
+   * Kafka connection state; remembers since when the consumer is disconnected
+   */
+  get isConnected() {
+    return this.connected;
+  }
+
+  set isConnected(value) {
+    this.connected = value;
+    this.disconnectedSince = value ? null : (this.disconnectedSince || Date.now());
+  }
+
+  /**
+   * Serve /metrics, /health/live and /health/ready
+   * Ready while connected to Kafka; live unless disconnected for longer than
+   * LIVENESS_GRACE_MS (so reconnect attempts get a chance before a restart).
+   */
+  startHttpServer() {
+    if (this.httpServer || !this.config.metricsPort) return;
+
+    const app = express();
+    app.get('/metrics', metrics.metricsHandler);
+    app.get('/health/ready', (req, res) => {
+      const ready = this.isConnected && !this.isShuttingDown;
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not ready',
+        connected: this.isConnected,
+        shuttingDown: this.isShuttingDown,
+        activeRuns: this.runControls.size,
+      });
+    });
+    app.get('/health/live', (req, res) => {
+      const disconnectedMs = this.disconnectedSince ? Date.now() - this.disconnectedSince : 0;
+      const live = disconnectedMs <= this.config.livenessGraceMs;
+      res.status(live ? 200 : 503).json({
+        status: live ? 'alive' : 'disconnected',
+        connected: this.isConnected,
+        disconnectedForMs: disconnectedMs,
+      });
+    });
+
+    this.httpServer = app.listen(this.config.metricsPort, () => {
+      logger.info(`📈 Metrics and health endpoints on port ${this.config.metricsPort} (/metrics, /health/live, /health/ready)`);
+    });
+    this.httpServer.on('error', (error) => {
+      logger.error(`❌ Metrics server failed on port ${this.config.metricsPort}: ${error.message}`);
+    });
   }
 
   /**
@@ -115,6 +301,27 @@ class PortKafkaConsumer {
       this.isConnected = true;
     });
 
+    // Partitions revoked by a rebalance: their in-flight runs finish, but
+    // their offsets are left to the new owner and they are no longer paused here
+    this.consumer.on(this.consumer.events.GROUP_JOIN, ({ payload }) => {
+      const assignment = payload.memberAssignment || {};
+      this.offsets.reset(assignment);
+      for (const [key, { topic, partition }] of this.pausedPartitions) {
+        if (!(assignment[topic] || []).includes(partition)) {
+          this.pausedPartitions.delete(key);
+          this.consumer.resume([{ topic, partitions: [partition] }]);
+        }
+      }
+    });
+
+    // Lag of each partition after every processed batch
+    this.consumer.on(this.consumer.events.END_BATCH_PROCESS, ({ payload }) => {
+      metrics.kafkaConsumerLag.set(
+        { topic: payload.topic, partition: String(payload.partition) },
+        Number(payload.offsetLag) || 0
+      );
+    });
+
     this.consumer.on('consumer.network.request_timeout', ({ broker, clientId }) => {
       logger.warn(`Network request timeout for broker ${broker}`);
     });
@@ -183,6 +390,11 @@ class PortKafkaConsumer {
       errors.push('KAFKA_CONSUMER_GROUP_ID is required (set via config or environment variable)');
     }
 
+    // Action handling
+    if (!['jenkins', 'reject'].includes(this.config.defaultActionHandler)) {
+      errors.push(`DEFAULT_ACTION_HANDLER must be 'jenkins' or 'reject' (got '${this.config.defaultActionHandler}')`);
+    }
+
     // Throw error if any validation failed
     if (errors.length > 0) {
       const errorMessage = [
@@ -201,86 +413,42 @@ class PortKafkaConsumer {
   }
 
   /**
-   * Get Port API access token
+   * Update action run status in Port
    */
-  async getAccessToken() {
-    // Return cached token if still valid
-    if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-      return this.accessToken;
-    }
-
-    logger.info('🔑 Fetching new Port API access token...');
-    
+  async updateActionRun(runId, updates) {
     try {
-      const response = await axios.post(`${this.portApiUrl}/auth/access_token`, {
-        clientId: this.config.portClientId,
-        clientSecret: this.config.portClientSecret,
-      });
-
-      this.accessToken = response.data.accessToken;
-      // Token typically expires in 1 hour, refresh 5 minutes before
-      this.tokenExpiry = Date.now() + (55 * 60 * 1000);
-      
-      logger.info('✅ Access token obtained');
-      return this.accessToken;
+      const data = await this.port.updateRun(runId, updates);
+      this.getRunLogger(runId).info(`✅ Updated action run ${runId}:`, updates.status || 'IN_PROGRESS');
+      return data;
     } catch (error) {
-      logger.error('❌ Failed to get access token:', error.response?.data || error.message);
+      this.getRunLogger(runId).error(`❌ Failed to update action run ${runId}:`, error.body || error.message);
       throw error;
     }
   }
 
   /**
-   * Update action run status in Port
+   * Get an action run from Port
    */
-  async updateActionRun(runId, updates) {
-    const token = await this.getAccessToken();
-    
+  async getActionRun(runId) {
     try {
-      const response = await axios.patch(
-        `${this.portApiUrl}/actions/runs/${runId}`,
-        updates,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      logger.info(`✅ Updated action run ${runId}:`, updates.status || 'IN_PROGRESS');
-      return response.data;
+      return await this.port.getRun(runId);
     } catch (error) {
-      logger.error(`❌ Failed to update action run ${runId}:`, error.response?.data || error.message);
+      this.getRunLogger(runId).error(`❌ Failed to get action run ${runId}:`, error.body || error.message);
       throw error;
     }
   }
 
   /**
    * Add log entry to action run
+   * @param {Object} requestOptions - Extra axios options (e.g. disable global retries for the log shipper)
    */
-  async addActionRunLog(runId, message, terminationStatus = null, statusLabel = null) {
-    const token = await this.getAccessToken();
-    
-    const body = { message };
-    if (terminationStatus) body.terminationStatus = terminationStatus;
-    if (statusLabel) body.statusLabel = statusLabel;
-
+  async addActionRunLog(runId, message, terminationStatus = null, statusLabel = null, requestOptions = {}) {
     try {
-      const response = await axios.post(
-        `${this.portApiUrl}/actions/runs/${runId}/logs`,
-        body,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
-
-      logger.debug(`📝 Added log to action run ${runId}`);
-      return response.data;
+      const data = await this.port.addRunLog(runId, message, { terminationStatus, statusLabel }, requestOptions);
+      this.getRunLogger(runId).debug(`📝 Added log to action run ${runId}`);
+      return data;
     } catch (error) {
-      logger.error(`❌ Failed to add log to action run ${runId}:`, error.response?.data || error.message);
+      this.getRunLogger(runId).error(`❌ Failed to add log to action run ${runId}:`, error.body || error.message);
       throw error;
     }
   }
@@ -288,54 +456,219 @@ class PortKafkaConsumer {
   /**
    * Create or update entity in Port
    */
-  async upsertEntity(blueprintId, entityData, runId = null) {
-    const token = await this.getAccessToken();
-    
-    const params = runId ? { run_id: runId } : {};
+  async upsertEntity(blueprintId, entityData, runId = null, query = {}) {
+    try {
+      const data = await this.port.upsertEntity(blueprintId, entityData, { ...query, runId });
+      this.getRunLogger(runId).info(`✅ Created/Updated entity: ${entityData.identifier} in blueprint: ${blueprintId}`);
+      return data;
+    } catch (error) {
+      this.getRunLogger(runId).error(`❌ Failed to upsert entity:`, error.body || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract the Jenkins job name from action properties
+   */
+  getJobNameFromProperties(properties = {}) {
+    return properties.job_name || properties.jobName || properties.jenkins_job || null;
+  }
+
+  /**
+   * Remember the promise of a run being processed by this process
+   */
+  trackRun(runId, promise) {
+    const tracked = promise.finally(() => this.activeRuns.delete(runId));
+    this.activeRuns.set(runId, tracked);
+    return tracked;
+  }
+
+  /**
+   * Decide what to do with a run message that may be a redelivery
+   * Checks the persisted seen-set and run state, and the run's current status
+   * in Port. Runs active in this process are checked by the caller.
+   * @returns {Promise<{decision: 'process'|'skip'|'reattach', reason?: string, run?: Object}>}
+   */
+  async checkDuplicate(message) {
+    const runId = message.context.runId;
+    const record = this.runStore.get(runId);
+    const seen = this.seenRuns.has(runId);
 
+    let portRun = null;
     try {
-      const response = await axios.post(
-        `${this.portApiUrl}/blueprints/${blueprintId}/entities`,
-        entityData,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-          params,
-        }
-      );
+      portRun = await this.getActionRun(runId);
+    } catch (error) {
+      this.getRunLogger(runId).warn(`⚠️  Could not read run ${runId} from Port, relying on local state: ${error.message}`);
+    }
+
+    if (portRun && portRun.status && portRun.status !== 'IN_PROGRESS') {
+      return { decision: 'skip', reason: `run already finished in Port with status ${portRun.status}` };
+    }
 
-      logger.info(`✅ Created/Updated entity: ${entityData.identifier} in blueprint: ${blueprintId}`);
-      return response.data;
+    if (!seen && !record) {
+      return { decision: 'process' };
+    }
+
+    // Still running: find the build it was attached to, keeping the run's action
+    const actionIdentifier = message.action?.identifier;
+    if (record?.buildNumber) {
+      return { decision: 'reattach', run: { ...record, actionIdentifier: record.actionIdentifier || actionIdentifier } };
+    }
+    const links = portRun?.link ? [].concat(portRun.link) : [];
+    for (const link of links) {
+      const build = this.jenkinsServers.parseBuildUrl(link);
+      if (build) {
+        const { server, jobName, buildNumber } = build;
+        return { decision: 'reattach', run: { runId, actionIdentifier, logOffset: 0, seenStages: [], jenkinsServer: server.name, jobName, buildNumber } };
+      }
+    }
+
+    return { decision: 'skip', reason: 'already processed by this consumer and no Jenkins build is attached to it' };
+  }
+
+  /**
+   * Deduplicate and queue an action message on the worker pool
+   * Runs waiting for a slot get a "Queued locally" status label with their position.
+   * @returns {Promise} Settles when the run reaches a terminal state
+   */
+  async scheduleActionMessage(message) {
+    const runId = message.context.runId;
+
+    if (this.activeRuns.has(runId)) {
+      this.getRunLogger(runId).info(`⏭️  Skipping duplicate message for run ${runId}: already being processed by this consumer`);
+      return this.activeRuns.get(runId);
+    }
+
+    // Reserve the run before the first await, so a second delivery arriving
+    // meanwhile is skipped; it settles with the run once it is tracked
+    let settle;
+    this.activeRuns.set(runId, new Promise(resolve => { settle = resolve; }));
+
+    let decision;
+    let reason;
+    let run;
+    try {
+      ({ decision, reason, run } = await this.checkDuplicate(message));
     } catch (error) {
-      logger.error(`❌ Failed to upsert entity:`, error.response?.data || error.message);
+      this.activeRuns.delete(runId);
+      settle();
       throw error;
     }
+
+    if (decision === 'skip') {
+      this.getRunLogger(runId).info(`⏭️  Skipping duplicate message for run ${runId}: ${reason}`);
+      this.activeRuns.delete(runId);
+      settle();
+      return undefined;
+    }
+
+    if (decision === 'reattach') {
+      this.getRunLogger(runId).info(`🔗 Duplicate message for run ${runId} - re-attaching to ${run.jobName} #${run.buildNumber}`);
+      this.runStore.put(runId, run);
+      const jobKey = run.jobName || this.jenkinsCapture.jobName;
+      const masker = this.createRunMasker(message);
+      const tracked = this.trackRun(runId, this.pool.submit(jobKey, () => this.recoverRun(this.runStore.get(runId), masker)));
+      settle(tracked);
+      return tracked;
+    }
+
+    const jobKey = this.getJobNameFromProperties(message.properties) || this.jenkinsCapture.jobName;
+
+    const tracked = this.trackRun(runId, this.pool.submit(jobKey, () => this.processActionMessage(message), {
+      onQueued: (position) => this.updateActionRun(runId, {
+        statusLabel: `Queued locally (position ${position})`,
+      }),
+    }));
+    settle(tracked);
+    return tracked;
+  }
+
+  /**
+   * Commit a message's offset once it reached a terminal state, and resume
+   * paused partitions if the pool has room again
+   */
+  async finishMessage(topic, partition, offset) {
+    const commitOffset = this.offsets.complete(topic, partition, offset);
+    if (commitOffset !== null) {
+      try {
+        await this.consumer.commitOffsets([{ topic, partition, offset: commitOffset }]);
+        logger.debug(`Committed offset ${commitOffset} for ${topic}[${partition}]`);
+      } catch (error) {
+        logger.warn(`Failed to commit offset ${commitOffset} for ${topic}[${partition}]: ${error.message}`);
+      }
+    }
+
+    this.resumePartitionsIfIdle();
+  }
+
+  /**
+   * Pause a partition while the worker pool is saturated
+   */
+  pausePartition(topic, partition) {
+    const key = `${topic}:${partition}`;
+    if (this.pausedPartitions.has(key)) return;
+
+    this.pausedPartitions.set(key, { topic, partition });
+    this.consumer.pause([{ topic, partitions: [partition] }]);
+    const stats = this.pool.stats();
+    logger.warn(`⏸️  Worker pool full (${stats.active} active, ${stats.queued} queued) - paused ${topic}[${partition}]`);
+  }
+
+  /**
+   * Resume paused partitions once the pool has capacity
+   */
+  resumePartitionsIfIdle() {
+    if (this.pausedPartitions.size === 0 || this.pool.isSaturated()) return;
+
+    const paused = Array.from(this.pausedPartitions.values());
+    this.pausedPartitions.clear();
+    for (const { topic, partition } of paused) {
+      this.consumer.resume([{ topic, partitions: [partition] }]);
+      logger.info(`▶️  Resumed ${topic}[${partition}]`);
+    }
   }
 
   /**
    * Process action invocation message
    */
   async processActionMessage(message) {
-    logger.info('\n' + '='.repeat(80));
-    logger.info('📨 Processing Action Invocation');
-    logger.info('='.repeat(80));
-
     const runId = message.context.runId;
     const action = message.action;
     const properties = message.properties;
     const entity = message.entity;
+    const runLogger = logger.child({ runId, actionIdentifier: action.identifier });
 
-    logger.info(`
+    runLogger.info('\n' + '='.repeat(80));
+    runLogger.info('📨 Processing Action Invocation');
+    runLogger.info('='.repeat(80));
+
+    const masker = this.createRunMasker(message);
+
+    runLogger.info(`
         🔹 Run ID: ${runId}
         🔹 Action: ${action.identifier}
         🔹 User: ${message.context.by.email}
-        🔹 Properties: ${JSON.stringify(properties, null, 2)}
-        🔹 Entity: ${entity ? JSON.stringify(entity, null, 2) : 'N/A'}
+        🔹 Properties: ${JSON.stringify(this.maskProperties(message, masker), null, 2)}
+        🔹 Entity: ${entity ? masker.mask(JSON.stringify(entity, null, 2)) : 'N/A'}
     `);
 
-    try {
+    // Persist the run so it can be recovered (and not re-run) if the process restarts
+    this.seenRuns.add(runId);
+    this.runStore.put(runId, {
+      actionIdentifier: action.identifier,
+      triggeredBy: message.context.by?.email || null,
+      target: entity?.identifier ? { identifier: entity.identifier, blueprint: entity.blueprint } : null,
+      startedAt: new Date().toISOString(),
+    });
+
+    await this.completeRun(runId, action.identifier, async () => {
+      const control = this.runControls.get(runId);
+      control.masker = masker;
+
+      // Pick the Jenkins server for this run (input, routing table or default)
+      control.jenkins = this.jenkinsServers.resolve(message);
+      this.runStore.put(runId, { jenkinsServer: control.jenkins.name });
+
       // Update status label to indicate processing started
       // Note: Don't set status to IN_PROGRESS - it's already set automatically
       await this.updateActionRun(runId, {
@@ -346,6 +679,76 @@ class PortKafkaConsumer {
 
       // Call the action handler
       await this.handleAction(message);
+    });
+  }
+
+  /**
+   * Masker for a run: the global masker plus the values of the run's secret inputs
+   * Secret input values are never persisted; recovered runs read them back from Port.
+   */
+  createRunMasker(message) {
+    return this.masker.withSecrets(getSecretInputValues(message.properties, message.action));
+  }
+
+  /**
+   * Masker for a run recovered after a restart, from the inputs Port has for it
+   */
+  async recoverRunMasker(runId) {
+    try {
+      const run = await this.port.getRun(runId);
+      return this.createRunMasker({ properties: run?.properties, action: run?.action });
+    } catch (error) {
+      this.getRunLogger(runId).warn(`⚠️  Could not read the inputs of run ${runId}, masking global secrets only: ${error.message}`);
+      return this.masker;
+    }
+  }
+
+  /**
+   * Jenkins server of a run being processed (the default server otherwise)
+   * @returns {{name: string, url: string, capture: JenkinsLogCapture}}
+   */
+  getJenkins(runId) {
+    const control = runId ? this.runControls.get(runId) : null;
+    const jenkins = control?.jenkins || this.jenkinsServers.get();
+    return control ? { ...jenkins, capture: jenkins.capture.withLogger(control.logger) } : jenkins;
+  }
+
+  /**
+   * Logger tagged with a run's correlation fields
+   * Runs being processed carry their action and, once triggered, their
+   * Jenkins job and build number; other runs get just the run ID.
+   */
+  getRunLogger(runId) {
+    if (!runId) return logger;
+    return this.runControls.get(runId)?.logger || logger.child({ runId });
+  }
+
+  /**
+   * Masker of a run being processed
+   */
+  getRunMasker(runId) {
+    return this.runControls.get(runId)?.masker || this.masker;
+  }
+
+  /**
+   * Copy of the run inputs that is safe to log
+   */
+  maskProperties(message, masker = this.getRunMasker(message.context.runId)) {
+    return masker.maskObject(message.properties || {}, (key) => isSecretInput(key, message.action));
+  }
+
+  /**
+   * Run the work for an action run and report its terminal status to Port
+   * While the work runs, the run can be cancelled by its timeout, by Port
+   * (polled run status or change events) or via cancelRun(). The run is removed
+   * from the run state store once the terminal status is reported.
+   */
+  async completeRun(runId, actionIdentifier, work) {
+    const control = this.createRunControl(runId, actionIdentifier);
+
+    try {
+      await work();
+      metrics.runsTotal.inc({ action: actionIdentifier, result: 'SUCCESS' });
 
       // Mark as successful
       await this.addActionRunLog(
@@ -356,95 +759,306 @@ class PortKafkaConsumer {
       );
 
     } catch (error) {
-      logger.error('❌ Error processing action:', error);
+      if (control.controller.signal.aborted) {
+        metrics.runsTotal.inc({ action: actionIdentifier, result: 'CANCELLED' });
+        await this.reportCancellation(runId, control);
+        return;
+      }
+
+      metrics.runsTotal.inc({ action: actionIdentifier, result: 'FAILURE' });
+      control.logger.error('❌ Error processing action:', error);
       
       // Report failure to Port
       await this.addActionRunLog(
         runId,
         `Action failed: ${error.message}`,
         'FAILURE',
-        'Failed'
+        error.statusLabel || 'Failed'
       );
+    } finally {
+      this.disposeRunControl(runId);
+      this.runStore.delete(runId);
     }
   }
 
   /**
-   * Handle specific action logic
-   * Override this method or use a strategy pattern for different actions
+   * Create the cancellation control of a run: an AbortController plus the
+   * run timeout and the Port run status poller
    */
-  async handleAction(message) {
-    const action = message.action;
-    const properties = message.properties;
-    const runId = message.context.runId;
+  createRunControl(runId, actionIdentifier) {
+    const control = {
+      logger: logger.child({ runId, actionIdentifier }),
+      controller: new AbortController(),
+      reason: null,
+      stopping: null,
+      jenkins: null,
+      queueItemId: null,
+      jobName: null,
+      buildNumber: null,
+      timers: [],
+    };
+    this.runControls.set(runId, control);
 
-    logger.info('🔧 Executing action handler...');
-    logger.debug('📋 Action Properties:', JSON.stringify(properties, null, 2));
+    const timeoutMs = this.config.actionTimeouts[actionIdentifier] || this.config.runTimeoutMs;
+    if (timeoutMs) {
+      control.timers.push(setTimeout(() => {
+        this.cancelRun(runId, `Run exceeded its timeout of ${Math.round(timeoutMs / 1000)}s`);
+      }, timeoutMs));
+    }
 
-    // Handle different action types
-    // Add your custom action handlers here
-    switch (action.identifier) {
-      case 'create_vm':
-        await this.handleCreateVM(message);
-        break;
-      
-      // Generic deployment handler - works with any Jenkins job
-      case 'deploy_service':
-      case 'deploy_microservice_kafka':
-      case 'deploy_application':
-      case 'trigger_build':
-        await this.handleDeployService(message);
-        break;
-      
-      default:
-        // Default: Try to use the generic deployment handler
-        // This allows any action to trigger Jenkins with parameters
-        logger.info(`ℹ️  No specific handler for action: ${action.identifier}`);
-        logger.info('📝 Using generic deployment handler');
-        await this.handleDeployService(message);
+    if (this.config.runStatusPollInterval) {
+      let polling = false;
+      control.timers.push(setInterval(async () => {
+        if (polling || control.reason) return;
+        polling = true;
+        try {
+          const run = await this.getActionRun(runId);
+          if (run?.status && run.status !== 'IN_PROGRESS') {
+            this.cancelRun(runId, `Run was terminated in Port (status ${run.status})`);
+          }
+        } catch (error) {
+          control.logger.debug(`Run status poll failed for ${runId}: ${error.message}`);
+        } finally {
+          polling = false;
+        }
+      }, this.config.runStatusPollInterval));
     }
+
+    return control;
+  }
+
+  disposeRunControl(runId) {
+    const control = this.runControls.get(runId);
+    if (!control) return;
+    control.timers.forEach(timer => clearTimeout(timer));
+    this.runControls.delete(runId);
   }
 
   /**
-   * Example: Handle VM creation
+   * Cancel a run: abort its work, dequeue or stop its Jenkins build
+   * @returns {boolean} false if the run is not being processed here
    */
-  async handleCreateVM(message) {
-    const runId = message.context.runId;
-    const properties = message.properties;
+  cancelRun(runId, reason) {
+    const control = this.runControls.get(runId);
+    if (!control || control.reason) {
+      return false;
+    }
 
-    await this.addActionRunLog(runId, 'Creating VM with specifications...');
-    
-    // Simulate VM creation
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    await this.addActionRunLog(runId, `VM created with ${properties.cpu_cores || 2} CPU cores, ${properties.memory_size || 4}GB RAM`);
-
-    // Create entity in Port
-    const entityData = {
-      identifier: properties.title?.replace(/\s+/g, '-').toLowerCase() || `vm-${Date.now()}`,
-      title: properties.title || 'New VM',
-      properties: {
-        cpu_cores: properties.cpu_cores || 2,
-        memory_size: properties.memory_size || 4,
-        storage_size: properties.storage_size || 100,
-        region: properties.region || 'us-east-1',
-        status: 'Running',
+    control.logger.warn(`🛑 Cancelling run ${runId}: ${reason}`);
+    control.reason = reason;
+
+    const cancelledError = new Error(`Cancelled: ${reason}`);
+    cancelledError.cancelled = true;
+    control.controller.abort(cancelledError);
+
+    control.stopping = this.stopJenkinsWork(control).catch(error => {
+      control.logger.error(`❌ Failed to stop Jenkins work for run ${runId}: ${error.message}`);
+      return `Failed to stop Jenkins: ${error.message}`;
+    });
+    return true;
+  }
+
+  /**
+   * Dequeue or stop the Jenkins build attached to a run control
+   * @returns {Promise<string>} Human readable outcome
+   */
+  async stopJenkinsWork(control) {
+    const capture = (control.jenkins || this.jenkinsServers.get()).capture.withLogger(control.logger);
+    if (control.buildNumber) {
+      const step = await capture.stopBuild(control.buildNumber, control.jobName, this.config.stopEscalationMs);
+      return step
+        ? `Jenkins build #${control.buildNumber} stopped (/${step})`
+        : `Jenkins build #${control.buildNumber} could not be stopped`;
+    }
+    if (control.queueItemId) {
+      // The item may have started its build while the run was still waiting on it
+      const buildNumber = await capture.getQueueItem(control.queueItemId)
+        .then(item => item.executable?.number || null)
+        .catch(() => null);
+      if (buildNumber) {
+        control.buildNumber = buildNumber;
+        return this.stopJenkinsWork(control);
+      }
+      await capture.cancelQueueItem(control.queueItemId);
+      return `Jenkins queue item #${control.queueItemId} cancelled`;
+    }
+    return 'No Jenkins build was started';
+  }
+
+  /**
+   * Post the final log of a cancelled run
+   */
+  async reportCancellation(runId, control) {
+    const outcome = await control.stopping;
+    try {
+      await this.addActionRunLog(
+        runId,
+        `🛑 Run cancelled: ${control.reason}. ${outcome}`,
+        'FAILURE',
+        'Cancelled'
+      );
+    } catch (error) {
+      // The run may already be terminated in Port (e.g. cancelled by the user)
+      control.logger.warn(`Could not report cancellation of run ${runId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resume or fail runs that were in flight when the process last stopped
+   */
+  async recoverRuns() {
+    this.seenRuns.load();
+    const runs = this.runStore.load();
+    if (runs.length === 0) {
+      return;
+    }
+
+    logger.info(`♻️  Recovering ${runs.length} in-flight run(s) from ${this.config.runStateFile}`);
+
+    for (const run of runs) {
+      const jobKey = run.jobName || this.jenkinsCapture.jobName;
+      this.trackRun(run.runId, this.pool.submit(jobKey, () => this.recoverRun(run))).catch(error => {
+        this.getRunLogger(run.runId).error(`❌ Error recovering run ${run.runId}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Resume streaming a single persisted run, or fail it if it cannot be resumed
+   * Used for crash recovery and for re-attaching redelivered messages.
+   * @param {SecretMasker} masker - Masker of the run (read back from Port when not given)
+   */
+  async recoverRun(run, masker = null) {
+    const { runId, jobName, buildNumber } = run;
+
+    if (!buildNumber) {
+      await this.completeRun(runId, run.actionIdentifier, async () => {
+        throw new Error('Consumer restarted while processing this run and no Jenkins build was recorded for it. Please re-run the action.');
+      });
+      return;
+    }
+
+    await this.completeRun(runId, run.actionIdentifier, async () => {
+      const control = this.runControls.get(runId);
+      control.jenkins = this.jenkinsServers.get(run.jenkinsServer);
+      control.logger = control.logger.child({ jobName, buildNumber });
+      control.masker = masker || await this.recoverRunMasker(runId);
+
+      try {
+        await this.getJenkins(runId).capture.getBuildStatus(buildNumber, jobName);
+      } catch (error) {
+        const reason = error.status === 404
+          ? `Jenkins build ${jobName} #${buildNumber} no longer exists`
+          : `Jenkins build ${jobName} #${buildNumber} could not be read (${error.message})`;
+        throw new Error(`Consumer restarted and could not resume this run: ${reason}`);
+      }
+
+      await this.addActionRunLog(
+        runId,
+        `♻️  Re-attaching to Jenkins build #${buildNumber} - resuming log stream from offset ${run.logOffset || 0}`
+      );
+      await this.followJenkinsBuild(runId, jobName, buildNumber, {
+        startOffset: run.logOffset || 0,
+        seenStages: run.seenStages || [],
+      });
+    });
+  }
+
+  /**
+   * Register the built-in handlers and the default handler
+   */
+  registerBuiltinHandlers() {
+    // Generic deployment handler - works with any Jenkins job
+    this.handlers.register(
+      ['deploy_service', 'deploy_microservice_kafka', 'deploy_application', 'trigger_build'],
+      (ctx) => ctx.jenkins.deploy()
+    );
+
+    if (this.config.defaultActionHandler === 'reject') {
+      this.handlers.setDefault(async (ctx) => {
+        throw new Error(`No handler registered for action: ${ctx.action.identifier}`);
+      });
+    } else {
+      // Try to use the generic deployment handler
+      // This allows any action to trigger Jenkins with parameters
+      this.handlers.setDefault(async (ctx) => {
+        ctx.logger.info(`ℹ️  No specific handler for action: ${ctx.action.identifier}`);
+        ctx.logger.info('📝 Using generic deployment handler');
+        await ctx.jenkins.deploy();
+      });
+    }
+  }
+
+  /**
+   * Build the context object passed to action handlers
+   * @returns {import('./action-handler-registry').ActionContext}
+   */
+  createActionContext(message) {
+    const runId = message.context.runId;
+    const jenkins = this.getJenkins(runId);
+
+    return {
+      runId,
+      action: message.action,
+      properties: message.properties || {},
+      entity: message.entity || null,
+      user: message.context.by || {},
+      message,
+      signal: this.runControls.get(runId)?.controller.signal,
+      logger: this.getRunLogger(runId),
+      log: (text, terminationStatus = null, statusLabel = null) =>
+        this.addActionRunLog(runId, text, terminationStatus, statusLabel),
+      updateRun: (updates) => this.updateActionRun(runId, updates),
+      upsertEntity: (blueprintId, entityData) => this.upsertEntity(blueprintId, entityData, runId),
+      jenkins: {
+        server: jenkins.name,
+        capture: jenkins.capture,
+        trigger: (parameters = {}, jobName = null) => this.triggerJenkinsBuild(parameters, jobName, runId),
+        deploy: () => this.handleDeployService(message),
       },
     };
+  }
+
+  /**
+   * Dispatch the action to its registered handler
+   */
+  async handleAction(message) {
+    const action = message.action;
+    const runLogger = this.getRunLogger(message.context.runId);
+
+    runLogger.info('🔧 Executing action handler...');
+    runLogger.debug(`📋 Action Properties: ${JSON.stringify(this.maskProperties(message), null, 2)}`);
 
-    await this.upsertEntity('vm', entityData, runId);
+    const handler = this.handlers.resolve(action.identifier);
+    if (!handler) {
+      throw new Error(`No handler registered for action: ${action.identifier}`);
+    }
+
+    await handler(this.createActionContext(message));
   }
 
   /**
    * Trigger Jenkins build with parameters
+   * Resolves the exact build number through the queue item returned in the
+   * Location header, so concurrent triggers of the same job never get mixed up.
    * @param {Object} parameters - Build parameters to pass to Jenkins
    * @param {string} jobName - Optional job name (defaults to JENKINS_JOB_NAME env var)
+   * @param {string} runId - Optional Port run ID to report queue waits to (its Jenkins server is used)
+   * @param {Object} files - Optional file parameters ({ PARAM: { name, content } }), sent as multipart
+   * @param {Object} server - Optional Jenkins server (from jenkinsServers) overriding the run's server
    */
-  async triggerJenkinsBuild(parameters = {}, jobName = null) {
-    const jenkinsUrl = this.jenkinsCapture.jenkinsUrl;
-    const job = jobName || this.jenkinsCapture.jobName;
+  async triggerJenkinsBuild(parameters = {}, jobName = null, runId = null, files = {}, server = null) {
+    const jenkins = server || this.getJenkins(runId);
+    const job = jobName || jenkins.capture.jobName;
+    const control = runId ? this.runControls.get(runId) : null;
+    if (control && job) {
+      control.logger = control.logger.child({ jobName: job });
+    }
+    const runLogger = this.getRunLogger(runId);
+    const capture = jenkins.capture.withLogger(runLogger);
     const auth = {
-      username: this.jenkinsCapture.username,
-      password: this.jenkinsCapture.apiToken,
+      username: capture.username,
+      password: capture.apiToken,
     };
 
     if (!job) {
@@ -452,47 +1066,122 @@ class PortKafkaConsumer {
     }
 
     try {
-      logger.info(`🔨 Triggering Jenkins build for job: ${job}`);
+      runLogger.info(`🔨 Triggering Jenkins build for job: ${job}`);
       
-      const hasParameters = parameters && Object.keys(parameters).length > 0;
+      const hasFiles = files && Object.keys(files).length > 0;
+      const hasParameters = hasFiles || (parameters && Object.keys(parameters).length > 0);
       
       if (hasParameters) {
-        logger.debug(`📋 Build Parameters:`, parameters);
+        runLogger.debug(`📋 Build Parameters: ${JSON.stringify(this.getRunMasker(runId).maskObject(parameters))}`);
       }
       
       // Use buildWithParameters endpoint if parameters exist, otherwise use build
       const endpoint = hasParameters ? 'buildWithParameters' : 'build';
-      const url = `${jenkinsUrl}/job/${job}/${endpoint}`;
+      const url = `${capture.jobUrl(job)}/${endpoint}`;
       
-      // Trigger build with parameters as query string
-      await axios.post(
+      // Trigger build with parameters as query string, or as a form body
+      // when there are files or the query string would be too long
+      let body = null;
+      let params = hasParameters ? parameters : undefined;
+      if (hasFiles) {
+        body = new FormData();
+        for (const [name, value] of Object.entries(parameters || {})) {
+          body.append(name, value);
+        }
+        for (const [name, file] of Object.entries(files)) {
+          body.append(name, new Blob([file.content]), file.name);
+        }
+        params = undefined;
+      } else if (hasParameters && new URLSearchParams(parameters).toString().length > MAX_QUERY_LENGTH) {
+        body = new URLSearchParams(parameters);
+        params = undefined;
+      }
+
+      const triggeredAt = Date.now();
+      const response = await axios.post(
         url,
-        null,
+        body,
         { 
           auth,
-          params: hasParameters ? parameters : undefined
+          params
         }
       );
+      metrics.jenkinsTriggerSeconds.observe({ server: jenkins.name }, (Date.now() - triggeredAt) / 1000);
 
-      // Wait for build to be queued
-      logger.info('⏳ Waiting for build to be queued...');
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      // Jenkins answers 201 with the queue item URL in the Location header
+      const queueItemId = JenkinsLogCapture.parseQueueItemId(response.headers?.location);
+      if (!queueItemId) {
+        throw new Error('Jenkins did not return a queue item location for the triggered build');
+      }
 
-      // Get the latest build number for this specific job
-      const latestBuild = await this.jenkinsCapture.getLatestBuildNumber(job);
-      
-      if (!latestBuild) {
-        throw new Error('No build number returned from Jenkins');
+      runLogger.info(`⏳ Build queued as item #${queueItemId}, waiting for it to start...`);
+
+      if (control) {
+        control.queueItemId = queueItemId;
+        control.jobName = job;
+      }
+
+      const { buildNumber } = await capture.waitForQueuedBuild(queueItemId, {
+        signal: control?.controller.signal,
+        onStuck: async ({ why, waitedMs }) => {
+          if (!runId) return;
+          await this.addActionRunLog(
+            runId,
+            `⏳ Build still waiting in the Jenkins queue after ${Math.round(waitedMs / 1000)}s: ${why || 'no reason reported'}`
+          );
+          await this.updateActionRun(runId, {
+            statusLabel: `Waiting in Jenkins queue: ${why || 'pending'}`,
+          });
+        },
+      });
+      metrics.jenkinsQueueSeconds.observe({ server: jenkins.name }, (Date.now() - triggeredAt) / 1000);
+
+      // From here a cancellation stops the build, even if nothing follows it
+      if (control) {
+        control.buildNumber = buildNumber;
       }
       
-      logger.info(`✅ Build #${latestBuild} triggered successfully for job: ${job}`);
-      return { buildNumber: latestBuild, jobName: job };
+      runLogger.info(`✅ Build #${buildNumber} triggered successfully for job: ${job}`);
+      return { buildNumber, jobName: job, queueItemId };
     } catch (error) {
-      logger.error(`❌ Jenkins trigger error for job ${job}:`, error.response?.data || error.message);
+      if (error.cancelled) {
+        throw error;
+      }
+      runLogger.error(`❌ Jenkins trigger error for job ${job}:`, error.response?.data || error.message);
       throw new Error(`Failed to trigger Jenkins build for ${job}: ${error.response?.data?.message || error.message}`);
     }
   }
 
+  /**
+   * Map an action's inputs to the build parameters of a job
+   * Uses the job's declared parameters and the configured mapping; throws a
+   * readable error listing every invalid input.
+   * @returns {Promise<{parameters: Object, files: Object}>}
+   */
+  async buildJenkinsParameters(message, jobName) {
+    let definitions = null;
+    try {
+      definitions = await this.getJenkins(message.context.runId).capture.getJobParameters(jobName);
+    } catch (error) {
+      this.getRunLogger(message.context.runId).warn(`⚠️  Could not read parameter definitions of ${jobName}, sending inputs unvalidated: ${error.message}`);
+    }
+
+    const { parameters, files, errors } = mapBuildParameters({
+      properties: message.properties || {},
+      actionIdentifier: message.action.identifier,
+      jobName,
+      definitions,
+      mapping: this.parameterMapping,
+      runId: message.context.runId,
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid build parameters for job ${jobName}:\n${errors.map(error => `  • ${error}`).join('\n')}`);
+    }
+
+    return { parameters, files };
+  }
+
   /**
    * Handle service deployment with Jenkins integration
    * Generic handler that passes all Port properties to Jenkins
@@ -513,164 +1202,425 @@ class PortKafkaConsumer {
     const entity = message.entity;
     
     // Extract job_name from properties (can be passed from Port action)
-    const jobName = props.job_name || props.jobName || props.jenkins_job || null;
+    const jobName = this.getJobNameFromProperties(props);
 
     await this.addActionRunLog(runId, '🚀 Starting Jenkins build via Port...');
     await this.addActionRunLog(runId, `Action: ${message.action.identifier}`);
-    await this.addActionRunLog(runId, `Parameters: ${JSON.stringify(props, null, 2)}`);
+    await this.addActionRunLog(runId, `Parameters: ${JSON.stringify(this.maskProperties(message), null, 2)}`);
 
     try {
       // Step 1: Trigger Jenkins build with all parameters from Port
-      const targetJob = jobName || this.jenkinsCapture.jobName;
-      await this.addActionRunLog(runId, `Triggering Jenkins build for job: ${targetJob}...`);
+      const jenkins = this.getJenkins(runId);
+      const targetJob = jobName || jenkins.capture.jobName;
+      await this.addActionRunLog(runId, `Triggering Jenkins build for job: ${targetJob} on ${jenkins.name} (${jenkins.url})...`);
       
-      // Build parameters - pass ALL properties from Port to Jenkins
-      // This makes it flexible for any action configuration in Port
-      const buildParameters = {};
-      
-      // Convert all Port properties to Jenkins parameters
-      // Skip job_name variants as they're used for routing, not as build params
-      const skipKeys = ['job_name', 'jobName', 'jenkins_job'];
-      for (const [key, value] of Object.entries(props)) {
-        if (value !== undefined && value !== null && !skipKeys.includes(key)) {
-          // Convert property names to Jenkins convention (optional)
-          // You can customize this transformation based on your needs:
-          // - Keep original: buildParameters[key] = value;
-          // - Or convert to UPPER_CASE for Jenkins convention
-          const jenkinsKey = key.toUpperCase();
-          buildParameters[jenkinsKey] = value;
-        }
-      }
+      // Map Port properties onto the parameters the job declares, and
+      // fail early (before anything is triggered) on invalid input
+      const { parameters: buildParameters, files } = await this.buildJenkinsParameters(message, targetJob);
       
-      // Always add run ID for tracking
-      buildParameters.PORT_RUN_ID = runId;
+      const masker = this.getRunMasker(runId);
+      this.getRunLogger(runId).info(`📋 Sending parameters to Jenkins: ${JSON.stringify(masker.maskObject(buildParameters), null, 2)}`);
       
-      logger.info('📋 Sending parameters to Jenkins:', JSON.stringify(buildParameters, null, 2));
-      
-      const { buildNumber, jobName: triggeredJob } = await this.triggerJenkinsBuild(buildParameters, jobName);
-
-      const jenkinsUrl = this.jenkinsCapture.jenkinsUrl;
-      const buildUrl = `${jenkinsUrl}/job/${triggeredJob}/${buildNumber}`;
+      const { buildNumber, jobName: triggeredJob } = await this.triggerJenkinsBuild(buildParameters, targetJob, runId, files);
+
+      this.runStore.put(runId, {
+        jobName: triggeredJob,
+        buildNumber,
+        parameters: masker.maskObject(buildParameters),
+        logOffset: 0,
+        seenStages: [],
+      });
 
       await this.addActionRunLog(runId, `Jenkins build #${buildNumber} started`);
-      
-      // Step 2: Update Port with Jenkins link
-      await this.updateActionRun(runId, {
-        link: [buildUrl],
-        statusLabel: `Jenkins build #${buildNumber} in progress`,
-      });
 
-      // Step 3: Stream Jenkins logs to Port in real-time
-      await this.addActionRunLog(runId, 'Streaming Jenkins logs...');
-      await this.addActionRunLog(runId, '─'.repeat(80));
+      await this.followJenkinsBuild(runId, triggeredJob, buildNumber);
+    } catch (error) {
+      await this.addActionRunLog(
+        runId,
+        `Deployment failed: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Create a batched, rate-limited log shipper for a run
+   * @param {function(number)} onDrained - Called with the log offset once everything before it was sent
+   */
+  createLogShipper(runId, onDrained = null) {
+    return new PortLogShipper({
+      // Retries are handled by the shipper so it can honour Retry-After
+      send: (message) => this.addActionRunLog(runId, message, null, null, { 'axios-retry': { retries: 0 } }),
+      rateLimiter: this.logRateLimiter,
+      maxMessageSize: this.config.logMaxMessageSize,
+      flushInterval: this.config.logFlushInterval,
+      onDrained,
+    });
+  }
 
-      let logBuffer = '';
-      const CHUNK_SIZE = 500; // Send logs in chunks to avoid overwhelming Port API
-      const seenStages = new Set(); // Track which stages we've already reported
+  /**
+   * Flush a log shipper and post its sent/dropped line counts to the run
+   */
+  async reportLogShipping(runId, shipper) {
+    const stats = await shipper.close();
+    this.getRunLogger(runId).info(`Log shipping for run ${runId}: ${stats.sentLines} lines sent in ${stats.sentMessages} messages, ${stats.droppedLines} dropped`);
+    await this.addActionRunLog(
+      runId,
+      `📊 Streamed ${stats.sentLines} log lines in ${stats.sentMessages} messages` +
+      (stats.droppedLines ? ` (${stats.droppedLines} lines dropped)` : '')
+    );
+    return stats;
+  }
 
-      // Function to check and report stages
-      const checkStages = async () => {
-        try {
-          const allStages = await this.jenkinsCapture.getAllStages(buildNumber, triggeredJob);
-          
-          // Process all stages to find new ones
-          for (const stage of allStages) {
-            const stageKey = `${stage.name}-${stage.status}`;
-            
-            // Report each stage transition (when it starts or completes)
-            if (!seenStages.has(stageKey) && stage.status !== 'NOT_EXECUTED') {
-              seenStages.add(stageKey);
-              
-              const duration = stage.durationMillis ? `(${(stage.durationMillis / 1000).toFixed(0)}s)` : '';
-              const statusText = stage.status === STAGE_STATUS.IN_PROGRESS ? 'Running' : 'Completed';
-              
-              await this.updateActionRun(runId, {
-                statusLabel: `Build #${buildNumber} - ${statusText}: ${stage.name} ${duration}`.trim(),
-              });
-              
-              logger.info(`Stage: ${stage.name} [${stage.status}]`);
-            }
-          }
-        } catch (error) {
-          logger.debug(`Stage check error: ${error.message}`);
-        }
-      };
+  /**
+   * Stream a Jenkins build's logs and stages to a Port run until it completes
+   * Progress (log offset, reported stages) is saved to the run state store so
+   * the stream can be resumed after a restart.
+   * @param {string} runId - Port run ID
+   * @param {string} triggeredJob - Jenkins job name
+   * @param {number} buildNumber - Jenkins build number
+   * @param {Object} resume - { startOffset, seenStages } when resuming a persisted run
+   */
+  async followJenkinsBuild(runId, triggeredJob, buildNumber, resume = {}) {
+    const startOffset = resume.startOffset || 0;
+    const control = this.runControls.get(runId);
+    const signal = control?.controller.signal;
+    if (control) {
+      control.jobName = triggeredJob;
+      control.buildNumber = buildNumber;
+      control.logger = control.logger.child({ jobName: triggeredJob, buildNumber });
+    }
+    const runLogger = this.getRunLogger(runId);
 
-      // Check stages immediately (don't wait for first interval)
-      await checkStages();
+    // A cancellation that arrived while the build was still queued
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    const { capture } = this.getJenkins(runId);
+    const buildUrl = capture.buildUrl(buildNumber, triggeredJob);
+
+    // Step 2: Update Port with Jenkins link
+    await this.updateActionRun(runId, {
+      link: [buildUrl],
+      statusLabel: `Jenkins build #${buildNumber} in progress`,
+    });
+    await this.reportBuildEntity(runId, { jobName: triggeredJob, buildNumber, buildUrl });
 
-      // Start polling for stage changes every 1 second (faster to catch quick stages)
-      const stageCheckInterval = setInterval(checkStages, 1000);
+    // Step 3: Stream Jenkins logs to Port in real-time
+    if (!startOffset) {
+      await this.addActionRunLog(runId, 'Streaming Jenkins logs...');
+      await this.addActionRunLog(runId, '─'.repeat(80));
+    }
 
+    // Ship logs line by line, batched and rate limited; the offset is saved
+    // only once everything before it reached Port
+    const shipper = this.createLogShipper(runId, (offset) => {
+      this.runStore.put(runId, { logOffset: offset });
+    });
+    const masker = this.getRunMasker(runId);
+    // The failure analysis reads the clean log, whatever format Port gets
+    const analysis = this.config.failureAnalysis ? this.failureAnalyzer.createAnalysis() : null;
+    const pipeline = capture.createLogPipeline({
+      port: this.config.portLogFormat,
+      ...(analysis && { analysis: 'clean' }),
+    }, masker);
+    const seenStages = new Set(resume.seenStages || []); // Track which stages we've already reported
+
+    // Stages, parallel branches and downstream builds; branch and downstream
+    // logs are shipped with a [branch] / [job #N] prefix
+    const follower = new PipelineFollower({
+      capture,
+      jobName: triggeredJob,
+      buildNumber,
+      maxDepth: this.config.pipelineMaxDepth,
+      branchLogs: this.config.pipelineBranchLogs,
+      detailInterval: this.config.pipelineDetailInterval,
+      createPipeline: () => {
+        const sourcePipeline = capture.createLogPipeline({ port: this.config.portLogFormat }, masker);
+        return {
+          write: (chunk) => sourcePipeline.write(chunk).port,
+          end: () => sourcePipeline.end().port,
+        };
+      },
+      onLog: (text) => shipper.write(text),
+      skipExistingLogs: startOffset > 0,
+      signal,
+    });
+    let lastLabel = null;
+
+    // Refresh the pipeline tree and report transitions
+    const checkStages = async () => {
       try {
-        // Stream logs (pass job name as 4th parameter after pollInterval)
-        await this.jenkinsCapture.streamLogs(buildNumber, async (logChunk) => {
-          logBuffer += logChunk;
-          
-          // Send logs in chunks to Port
-          if (logBuffer.length >= CHUNK_SIZE) {
-            await this.addActionRunLog(runId, logBuffer);
-            logBuffer = '';
+        await follower.refresh();
+        const tree = follower.tree;
+
+        // Log each node transition (when it starts or completes) once
+        for (const { path, node } of flattenTree(tree.children)) {
+          const stageKey = `${path}-${node.status}`;
+          if (!seenStages.has(stageKey) && node.status !== STAGE_STATUS.NOT_EXECUTED) {
+            seenStages.add(stageKey);
+            this.runStore.put(runId, { seenStages: Array.from(seenStages) });
+            runLogger.info(`Stage: ${path} [${node.status}]`);
           }
-        }, 2000, triggeredJob);
-
-        // Send any remaining logs
-        if (logBuffer.length > 0) {
-          await this.addActionRunLog(runId, logBuffer);
         }
 
-        // Continue polling for stages even after log streaming completes
-        // Wait for build to actually finish
-        logger.info('Waiting for build to complete...');
-        let buildComplete = false;
-        while (!buildComplete) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          const buildStatus = await this.jenkinsCapture.getBuildStatus(buildNumber, triggeredJob);
-          buildComplete = buildStatus.building === false;
+        const label = `Build #${buildNumber} - ${formatTreeLabel(tree.children) || 'Running'}`;
+        if (label !== lastLabel) {
+          lastLabel = label;
+          await this.updateActionRun(runId, { statusLabel: label });
+          await this.reportBuildEntity(runId, { jobName: triggeredJob, buildNumber, buildUrl, status: follower.build, tree });
         }
-      } finally {
-        // Stop polling when build is actually complete
-        clearInterval(stageCheckInterval);
+      } catch (error) {
+        runLogger.debug(`Stage check error: ${error.message}`);
       }
+    };
 
-      await this.addActionRunLog(runId, '─'.repeat(80));
+    // Check stages immediately (don't wait for first interval)
+    await checkStages();
 
-      // Step 4: Get final build status
-      const buildStatus = await this.jenkinsCapture.getBuildStatus(buildNumber, triggeredJob);
-      const isSuccess = buildStatus.result === BUILD_STATUS.SUCCESS;
-      const duration = (buildStatus.duration / 1000).toFixed(2);
+    // Start polling for stage changes every 1 second (faster to catch quick stages)
+    const stageCheckInterval = setInterval(checkStages, 1000);
 
-      await this.updateActionRun(runId, {
-        statusLabel: `Build ${buildStatus.result} (${duration}s)`,
-      });
+    try {
+      // Stream logs (pass job name as 4th parameter after pollInterval)
+      await capture.streamLogs(buildNumber, (logChunk, nextOffset) => {
+        // Text held back by the pipeline is not shipped yet, so its offset is not safe to save
+        metrics.recordLogChunk('consumer', logChunk);
+        const output = pipeline.write(logChunk);
+        analysis?.write(output.analysis);
+        follower.scanLog(output.port);
+        shipper.write(output.port, pipeline.hasPending() ? undefined : nextOffset);
+      }, 2000, triggeredJob, { startOffset, signal });
+      const output = pipeline.end();
+      analysis?.write(output.analysis);
+      shipper.write(output.port);
+
+      // Continue polling for stages even after log streaming completes
+      // Wait for build to actually finish
+      runLogger.info('Waiting for build to complete...');
+      let buildComplete = false;
+      while (!buildComplete) {
+        await sleep(2000, signal);
+        const buildStatus = await capture.getBuildStatus(buildNumber, triggeredJob);
+        buildComplete = buildStatus.building === false;
+      }
 
+      // Let downstream and branch logs catch up, then send any remaining logs
+      clearInterval(stageCheckInterval);
+      await follower.finish();
+      await this.reportLogShipping(runId, shipper);
+    } finally {
+      // Stop polling when build is actually complete
+      clearInterval(stageCheckInterval);
+      follower.stop();
+      await shipper.close();
+    }
 
-      if (isSuccess) {
-        await this.addActionRunLog(
-          runId,
-          `✅ Jenkins build #${buildNumber} completed successfully in ${duration}s`
-        );
-      } else {
-        throw new Error(`Jenkins build failed with status: ${buildStatus.result}`);
-      }
+    await this.addActionRunLog(runId, '─'.repeat(80));
+
+    // Step 4: Get final build status
+    const buildStatus = await capture.getBuildStatus(buildNumber, triggeredJob);
+    const isSuccess = buildStatus.result === BUILD_STATUS.SUCCESS;
+    const duration = (buildStatus.duration / 1000).toFixed(2);
+    metrics.jenkinsBuildSeconds.observe({ job: triggeredJob, result: buildStatus.result || 'UNKNOWN' }, buildStatus.duration / 1000);
+
+    await this.addActionRunLog(runId, `🌳 Pipeline summary:\n${renderTree(follower.tree)}`);
+    await this.reportBuildEntity(runId, { jobName: triggeredJob, buildNumber, buildUrl, status: buildStatus, tree: follower.tree });
+
+    // A failed build gets the failing stage, likely cause and first error block
+    let failure = null;
+    let statusLabel = `Build ${buildStatus.result} (${duration}s) - ${formatTreeLabel(follower.tree.children)}`.replace(/ - $/, '');
+    if (!isSuccess && analysis) {
+      failure = analysis.finish({ tree: follower.tree, result: buildStatus.result });
+      statusLabel = formatFailureLabel(failure, duration);
+      runLogger.info(`🔍 Failure analysis: ${failure.failingStage || 'unknown stage'} - ${failure.cause ? `${failure.cause.message} (${failure.cause.rule})` : 'no known failure pattern'}`);
+      await this.addActionRunLog(runId, formatFailureSummary(failure));
+    }
+    await this.updateActionRun(runId, { statusLabel });
 
-    } catch (error) {
+    if (isSuccess) {
       await this.addActionRunLog(
         runId,
-        `Deployment failed: ${error.message}`
+        `✅ Jenkins build #${buildNumber} completed successfully in ${duration}s`
       );
+    } else {
+      throw new BuildFailedError({ result: buildStatus.result, analysis: failure, statusLabel: failure && statusLabel });
+    }
+  }
+
+  /**
+   * Create or update the Port entity of a run's build (BUILD_ENTITY_BLUEPRINT)
+   * Failures are logged and never fail the run.
+   * @param {Object} build - { jobName, buildNumber, buildUrl, status, tree }
+   */
+  async reportBuildEntity(runId, build) {
+    if (!this.config.buildEntityEnabled) return;
+
+    const record = this.runStore.get(runId) || {};
+    const jenkins = this.getJenkins(runId);
+    const entity = createBuildEntity(this.buildEntityConfig, {
+      ...build,
+      server: jenkins.name,
+      parameters: record.parameters,
+      triggeredBy: record.triggeredBy,
+      target: record.target,
+      runLink: this.port.runUrl(runId),
+    });
+
+    try {
+      await this.upsertEntity(this.buildEntityConfig.blueprint, entity, runId, { upsert: true, merge: true });
+    } catch (error) {
+      this.getRunLogger(runId).warn(`⚠️  Could not update ${this.buildEntityConfig.blueprint} entity ${entity.identifier}: ${error.body?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Create the build entity blueprint if it does not exist
+   * @param {Array<string>} relatedBlueprints - Blueprints of action target entities to relate builds to
+   * @returns {Promise<boolean>} true if the blueprint was created
+   */
+  async ensureBuildBlueprint(relatedBlueprints = []) {
+    const blueprintId = this.buildEntityConfig.blueprint;
+
+    try {
+      await this.port.getBlueprint(blueprintId);
+      logger.info(`✅ Blueprint ${blueprintId} already exists`);
+      return false;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+
+    try {
+      await this.port.createBlueprint(createBuildBlueprint(this.buildEntityConfig, relatedBlueprints));
+      logger.info(`✅ Created blueprint ${blueprintId}${relatedBlueprints.length ? ` related to ${relatedBlueprints.join(', ')}` : ''}`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ Failed to create blueprint ${blueprintId}:`, error.body || error.message);
       throw error;
     }
   }
 
   /**
    * Process change log message
+   * @param {Object} message
+   * @param {string} eventId - Identifies the message across redeliveries (topic:partition:offset)
    */
-  async processChangeMessage(message) {
+  async processChangeMessage(message, eventId) {
     logger.info('\n' + '='.repeat(80));
     logger.info('📝 Processing Change Log');
     logger.info('='.repeat(80));
     logger.debug(JSON.stringify(message, null, 2));
+
+    // A run we are processing was terminated in Port (e.g. cancelled by the user)
+    if (message.resourceType === 'run') {
+      const runId = message.context?.runId || message.diff?.after?.id;
+      const status = message.diff?.after?.status;
+      if (runId && status && status !== 'IN_PROGRESS' && this.runControls.has(runId)) {
+        this.cancelRun(runId, `Run was terminated in Port (status ${status})`);
+      }
+      return;
+    }
+
+    const change = parseEntityChange(message);
+    const matches = this.changeRules.match(change);
+    if (matches.length === 0) {
+      return;
+    }
+
+    logger.info(`🔔 ${change.operation} of ${change.blueprint}/${change.identifier} matched ${matches.length} rule(s): ${matches.map(({ rule }) => rule.name).join(', ')}`);
+
+    // One failing rule does not stop the others
+    await Promise.all(matches.map(({ rule, scope }) => this.scheduleChangeRule(rule, scope, message, eventId).catch(error => {
+      logger.error(`❌ Change rule ${rule.name} failed for ${change.blueprint}/${change.identifier}: ${error.message}`);
+    })));
+  }
+
+  /**
+   * Deduplicate and queue a matched change rule on the worker pool
+   * Like action runs, a rule already run (or running) for the same change
+   * message is skipped when the message is redelivered.
+   * @returns {Promise} Settles when the rule has run
+   */
+  scheduleChangeRule(rule, scope, message, eventId) {
+    const ruleRunId = `change:${rule.name}:${eventId}`;
+
+    if (this.activeRuns.has(ruleRunId) || this.seenRuns.has(ruleRunId)) {
+      logger.info(`⏭️  Skipping change rule ${rule.name}: already run for change ${eventId}`);
+      return this.activeRuns.get(ruleRunId) || Promise.resolve();
+    }
+
+    const jobKey = rule.jenkins
+      ? renderTemplate(rule.jenkins.job, scope) || this.jenkinsCapture.jobName
+      : `handler:${rule.handler}`;
+
+    return this.trackRun(ruleRunId, this.pool.submit(jobKey, () => {
+      this.seenRuns.add(ruleRunId);
+      return this.applyChangeRule(rule, scope, message);
+    }));
+  }
+
+  /**
+   * Run the target of a matched change rule
+   * @param {Object} rule - Compiled rule
+   * @param {Object} scope - Template scope ({ before, after, entity, operation, ... })
+   * @param {Object} message - Raw change message
+   */
+  async applyChangeRule(rule, scope, message) {
+    if (rule.jenkins) {
+      const server = this.jenkinsServers.get(renderTemplate(rule.jenkins.server, scope) || null);
+      const jobName = renderTemplate(rule.jenkins.job, scope);
+      const parameters = Object.fromEntries(
+        Object.entries(renderTemplate(rule.jenkins.parameters || {}, scope))
+          .filter(([, value]) => value !== undefined && value !== null)
+          .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value])
+      );
+
+      const { buildNumber } = await this.triggerJenkinsBuild(parameters, jobName, null, {}, server);
+      logger.info(`⚡ Change rule ${rule.name} started ${jobName} #${buildNumber} on ${server.name}`);
+      return;
+    }
+
+    const handler = this.handlers.resolve(rule.handler, false);
+    if (!handler) {
+      throw new Error(`No handler registered for ${rule.handler}`);
+    }
+    await handler(this.createChangeContext(rule, scope, message));
+    logger.info(`⚡ Change rule ${rule.name} ran handler ${rule.handler}`);
+  }
+
+  /**
+   * Build the handler context for a change rule
+   * There is no Port run: log() and updateRun() go to the application log.
+   * @returns {import('./action-handler-registry').ActionContext}
+   */
+  createChangeContext(rule, scope, message) {
+    const jenkins = this.jenkinsServers.get(renderTemplate(rule.server, scope) || null);
+
+    return {
+      runId: null,
+      action: { identifier: rule.handler },
+      properties: renderTemplate(rule.properties || {}, scope),
+      entity: scope.entity,
+      user: message.trigger?.by || {},
+      message,
+      change: scope,
+      signal: undefined,
+      logger,
+      log: async (text) => logger.info(`[${rule.name}] ${text}`),
+      updateRun: async (updates) => logger.debug(`[${rule.name}] run update ignored (no Port run): ${JSON.stringify(updates)}`),
+      upsertEntity: (blueprintId, entityData) => this.upsertEntity(blueprintId, entityData),
+      jenkins: {
+        server: jenkins.name,
+        capture: jenkins.capture,
+        trigger: (parameters = {}, jobName = null) => this.triggerJenkinsBuild(parameters, jobName, null, {}, jenkins),
+        deploy: async () => {
+          throw new Error('jenkins.deploy() needs a Port run and is not available to change rules');
+        },
+      },
+    };
   }
 
   /**
@@ -688,11 +1638,17 @@ class PortKafkaConsumer {
 📊 Configuration:
    - Organization ID: ${this.config.orgId}
    - Actions Topic: ${this.actionsTopic}
-   - Changes Topic: ${this.changesTopic}
+   - Changes Topic: ${this.config.consumeChangesTopic ? this.changesTopic : 'disabled'}
    - Consumer Group: ${this.config.consumerGroupId}
    - Kafka Brokers: ${this.config.kafkaBrokers.join(', ')}
+   - Action Handlers: ${this.handlers.describe().join(', ') || 'none'}
+   - Default Handler: ${this.config.defaultActionHandler}
+   - Jenkins Servers: ${this.jenkinsServers.names().map(name => `${name} (${this.jenkinsServers.get(name).url})`).join(', ')}
+   - Max Concurrent Runs: ${this.config.maxConcurrentRuns} (queue ${this.config.maxQueuedRuns}, per job ${this.config.maxRunsPerJob || 'unlimited'})
     `);
 
+    this.startHttpServer();
+
     try {
       // Connect to Kafka
       logger.info('🔌 Connecting to Kafka...');
@@ -708,32 +1664,50 @@ class PortKafkaConsumer {
       });
       logger.info('✅ Subscribed to actions topic');
 
-      // Optionally subscribe to changes topic
-      // await this.consumer.subscribe({ topic: this.changesTopic });
+      // Resume runs left in flight by a previous process (only once, not on reconnect)
+      if (!this.hasRecoveredRuns) {
+        this.hasRecoveredRuns = true;
+        await this.recoverRuns();
+      }
+
+      // Entity change events (change rules) and run terminations
+      if (this.config.consumeChangesTopic) {
+        logger.info(`📡 Subscribing to topic: ${this.changesTopic}`);
+        await this.consumer.subscribe({
+          topic: this.changesTopic,
+          fromBeginning: false,
+        });
+        logger.info(`✅ Subscribed to changes topic (${this.changeRules.rules.length} change rule(s))`);
+      }
 
       logger.info('\n' + '='.repeat(80));
       logger.info('✅ Consumer Ready - Waiting for messages...');
       logger.info('='.repeat(80) + '\n');
 
       // Start consuming
-      // Note: Messages are processed concurrently (fire-and-forget) to allow
-      // multiple Jenkins builds to run in parallel. Each action reports its
-      // own status back to Port independently.
+      // Note: Messages are processed concurrently on a bounded worker pool so
+      // multiple Jenkins builds can run in parallel. Offsets are committed
+      // manually, only once every earlier run in the partition reached a
+      // terminal state, and the partition is paused while the pool is full.
       await this.consumer.run({
+        autoCommit: false,
         eachMessage: async ({ topic, partition, message }) => {
+          this.offsets.begin(topic, partition, message.offset);
+          metrics.kafkaMessagesConsumed.inc({ topic });
+
+          let work;
           try {
             const value = message.value.toString();
             const parsedMessage = JSON.parse(value);
 
             if (topic === this.actionsTopic) {
-              // Fire-and-forget: Don't await, allow concurrent processing
               // Each action handler reports its own status to Port
-              this.processActionMessage(parsedMessage).catch(error => {
+              work = this.scheduleActionMessage(parsedMessage).catch(error => {
                 logger.error('❌ Error processing action message:', error);
               });
             } else if (topic === this.changesTopic) {
-              // Change messages can also be processed concurrently
-              this.processChangeMessage(parsedMessage).catch(error => {
+              // Matched change rules share the worker pool with action runs
+              work = this.processChangeMessage(parsedMessage, `${topic}:${partition}:${message.offset}`).catch(error => {
                 logger.error('❌ Error processing change message:', error);
               });
             }
@@ -743,6 +1717,12 @@ class PortKafkaConsumer {
             logger.error('Message value:', message.value.toString());
             // Don't throw - continue processing other messages
           }
+
+          Promise.resolve(work).then(() => this.finishMessage(topic, partition, message.offset));
+
+          if (this.pool.isSaturated()) {
+            this.pausePartition(topic, partition);
+          }
         },
       });
 
@@ -766,6 +1746,10 @@ class PortKafkaConsumer {
         this.isConnected = false;
       }
       logger.info('✅ Consumer disconnected');
+      if (this.httpServer) {
+        this.httpServer.close();
+        this.httpServer = null;
+      }
     } catch (error) {
       logger.error('Error during shutdown:', error);
       throw error;
@@ -774,7 +1758,16 @@ class PortKafkaConsumer {
 }
 
 // Main execution
-if (require.main === module) {
+if (require.main === module && process.argv[2] === 'create-build-blueprint') {
+  // node port-kafka-consumer.js create-build-blueprint [relatedBlueprint ...]
+  const consumer = new PortKafkaConsumer({});
+  consumer.ensureBuildBlueprint(process.argv.slice(3))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Failed to create build blueprint:', error.message);
+      process.exit(1);
+    });
+} else if (require.main === module) {
   const consumer = new PortKafkaConsumer({});
 
   // Handle graceful shutdown
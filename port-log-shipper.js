@@ -0,0 +1,215 @@
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Ships streamed log text to a Port run
+ * Text is buffered into whole lines and sent when the buffer reaches the
+ * message size cap or the flush interval elapses. Sends go through a shared
+ * token bucket; 429s wait for Retry-After and other transient failures back
+ * off, and lines are only counted as dropped once retries are exhausted.
+ */
+class PortLogShipper {
+  /**
+   * @param {Object} options
+   * @param {function(string): Promise} options.send - Posts one log message to the run
+   * @param {TokenBucket} options.rateLimiter - Shared limiter for Port API calls
+   * @param {number} options.maxMessageSize - Max characters per log message
+   * @param {number} options.flushInterval - Max time lines wait in the buffer (ms)
+   * @param {number} options.maxBufferedLines - Oldest lines are dropped beyond this
+   * @param {number} options.maxAttempts - Attempts per message before its lines are dropped
+   * @param {function(*)} options.onDrained - Called with the last write() marker once everything before it was sent
+   */
+  constructor(options) {
+    this.send = options.send;
+    this.rateLimiter = options.rateLimiter || null;
+    this.maxMessageSize = options.maxMessageSize || 4000;
+    this.flushInterval = options.flushInterval || 2000;
+    this.maxBufferedLines = options.maxBufferedLines || 5000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.onDrained = options.onDrained || null;
+
+    this.partial = '';
+    this.lines = [];
+    this.bufferedSize = 0;
+    this.lastMarker = undefined;
+    this.flushing = Promise.resolve();
+    this.closed = false;
+    this.stats = { sentLines: 0, droppedLines: 0, sentMessages: 0, failedMessages: 0 };
+
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} chunk - Raw text, may end mid-line
+   * @param {*} marker - Opaque position (e.g. log offset) reported to onDrained once sent
+   */
+  write(chunk, marker) {
+    if (this.closed || !chunk) return;
+
+    const parts = (this.partial + chunk).split('\n');
+    this.partial = parts.pop();
+    for (const line of parts) {
+      this.pushLine(line);
+    }
+
+    // A runaway line without newlines must not grow forever
+    if (this.partial.length >= this.maxMessageSize) {
+      this.pushLine(this.partial);
+      this.partial = '';
+    }
+
+    if (marker !== undefined) {
+      this.lastMarker = marker;
+    }
+
+    if (this.bufferedSize >= this.maxMessageSize) {
+      this.flush();
+    }
+  }
+
+  pushLine(line) {
+    this.lines.push(line);
+    this.bufferedSize += line.length + 1;
+
+    if (this.lines.length > this.maxBufferedLines) {
+      const dropped = this.lines.shift();
+      this.bufferedSize -= dropped.length + 1;
+      this.stats.droppedLines++;
+      metrics.portLogLines.inc({ outcome: 'dropped' });
+    }
+  }
+
+  /**
+   * Send all buffered whole lines (serialized with earlier flushes)
+   */
+  flush() {
+    this.flushing = this.flushing.then(() => this.sendBuffered());
+    return this.flushing;
+  }
+
+  async sendBuffered() {
+    while (this.lines.length > 0) {
+      const { message, lineCount } = this.takeMessage();
+      if (!message.trim()) {
+        // Port rejects empty messages; blank lines are not worth a call
+        this.stats.sentLines += lineCount;
+        continue;
+      }
+      await this.sendWithRetry(message, lineCount);
+    }
+
+    if (this.partial === '' && this.lastMarker !== undefined && this.onDrained) {
+      const marker = this.lastMarker;
+      this.lastMarker = undefined;
+      try {
+        await this.onDrained(marker);
+      } catch (error) {
+        logger.debug(`onDrained callback error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Take as many whole lines as fit in one message
+   * A single line longer than the cap is split across messages.
+   */
+  takeMessage() {
+    let message = '';
+    let lineCount = 0;
+
+    while (this.lines.length > 0) {
+      const line = this.lines[0];
+      const candidate = lineCount === 0 ? line : `${message}\n${line}`;
+
+      if (candidate.length <= this.maxMessageSize) {
+        message = candidate;
+        lineCount++;
+        this.lines.shift();
+        this.bufferedSize -= line.length + 1;
+        continue;
+      }
+
+      if (lineCount === 0) {
+        message = line.slice(0, this.maxMessageSize);
+        this.lines[0] = line.slice(this.maxMessageSize);
+        this.bufferedSize -= this.maxMessageSize;
+      }
+      break;
+    }
+
+    return { message, lineCount };
+  }
+
+  async sendWithRetry(message, lineCount) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      if (this.rateLimiter) {
+        await this.rateLimiter.take();
+      }
+
+      try {
+        await this.send(message);
+        this.stats.sentLines += lineCount;
+        this.stats.sentMessages++;
+        metrics.portLogLines.inc({ outcome: 'sent' }, lineCount);
+        return;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt === this.maxAttempts) {
+          this.stats.droppedLines += lineCount;
+          metrics.portLogLines.inc({ outcome: 'dropped' }, lineCount);
+          this.stats.failedMessages++;
+          logger.warn(`Dropped ${lineCount} log line(s) after ${attempt} attempt(s): ${status || error.message}`);
+          return;
+        }
+
+        let delay = Math.pow(2, attempt - 1) * 1000;
+        if (status === 429) {
+          delay = parseRetryAfter(error.response.headers?.['retry-after']) ?? delay;
+          // Everyone sharing the limiter backs off, not only this run
+          if (this.rateLimiter) {
+            this.rateLimiter.pause(delay);
+            delay = 0;
+          }
+        }
+        logger.debug(`Log send failed (${status || error.message}), retrying in ${delay}ms (attempt ${attempt}/${this.maxAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Flush everything, including a trailing partial line, and stop the timer
+   * @returns {Promise<{sentLines: number, droppedLines: number, sentMessages: number, failedMessages: number}>}
+   */
+  async close() {
+    if (!this.closed) {
+      this.closed = true;
+      clearInterval(this.timer);
+      if (this.partial) {
+        this.pushLine(this.partial);
+        this.partial = '';
+      }
+    }
+    await this.flush();
+    return { ...this.stats };
+  }
+}
+
+module.exports = PortLogShipper;
+module.exports.parseRetryAfter = parseRetryAfter;
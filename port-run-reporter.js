@@ -0,0 +1,181 @@
+const logger = require('./logger');
+const PortLogShipper = require('./port-log-shipper');
+const { renderTree, formatTreeLabel } = require('./pipeline-tree');
+const { BUILD_STATUS } = require('./jenkins-log-capture');
+
+/**
+ * Build parameter / payload fields carrying the Port run ID
+ */
+const RUN_ID_KEYS = ['portRunId', 'PORT_RUN_ID', 'runId'];
+
+/**
+ * Port run ID of a webhook notification or of a build's parameters
+ * @returns {string|null}
+ */
+function findRunId(...sources) {
+  for (const source of sources) {
+    const runId = RUN_ID_KEYS.map(key => source?.[key]).find(value => typeof value === 'string' && value.trim());
+    if (runId) return runId.trim();
+  }
+  return null;
+}
+
+/**
+ * Reports a Jenkins build the consumer did not trigger to its Port run
+ * Used by the webhook server for builds that carry a PORT_RUN_ID (SCM
+ * triggers, manual reruns): links the build, ships its logs, keeps the
+ * status label in step with the pipeline and ends the run with the build
+ * result.
+ */
+class PortRunReporter {
+  /**
+   * @param {Object} options
+   * @param {PortClient} options.port
+   * @param {string} options.runId
+   * @param {string} options.jobName
+   * @param {number} options.buildNumber
+   * @param {string} options.buildUrl
+   * @param {function(string): ({jobName: string, buildNumber: number}|null)} options.parseBuildUrl - Job and build of a run link
+   * @param {TokenBucket} options.rateLimiter - Shared limiter for run logs
+   * @param {number} options.maxMessageSize
+   * @param {number} options.flushInterval
+   */
+  constructor(options) {
+    this.port = options.port;
+    this.runId = options.runId;
+    this.jobName = options.jobName;
+    this.buildNumber = options.buildNumber;
+    this.buildUrl = options.buildUrl;
+    this.lastLabel = null;
+
+    this.shipper = new PortLogShipper({
+      // Retries are handled by the shipper so it can honour Retry-After
+      send: (message) => this.port.addRunLog(this.runId, message, {}, { 'axios-retry': { retries: 0 } }),
+      rateLimiter: options.rateLimiter,
+      maxMessageSize: options.maxMessageSize,
+      flushInterval: options.flushInterval,
+    });
+  }
+
+  /**
+   * Create a reporter if the run can be reported to
+   * Runs that are unknown, already finished, or already linked to this build
+   * (i.e. followed by the Kafka consumer) are left alone.
+   * @returns {Promise<PortRunReporter|null>}
+   */
+  static async attach(options) {
+    const { port, runId, jobName, buildNumber, parseBuildUrl } = options;
+
+    let run;
+    try {
+      run = await port.getRun(runId);
+    } catch (error) {
+      logger.warn(`⚠️  Not reporting ${jobName} #${buildNumber} to Port run ${runId}: ${error.status === 404 ? 'run not found' : error.message}`);
+      return null;
+    }
+
+    if (run?.status && run.status !== 'IN_PROGRESS') {
+      logger.info(`ℹ️  Port run ${runId} already finished (${run.status}), not reporting ${jobName} #${buildNumber}`);
+      return null;
+    }
+    // Links are compared by job and build, the consumer may have written another form of the URL
+    const links = [].concat(run?.link || []);
+    if (links.some(link => {
+      const build = parseBuildUrl(link);
+      return build && build.jobName === jobName && build.buildNumber === Number(buildNumber);
+    })) {
+      logger.info(`ℹ️  Port run ${runId} is already following ${jobName} #${buildNumber}, not reporting from the webhook`);
+      return null;
+    }
+
+    const reporter = new PortRunReporter(options);
+    await reporter.start();
+    return reporter;
+  }
+
+  async start() {
+    logger.info(`🔗 Reporting ${this.jobName} #${this.buildNumber} to Port run ${this.runId}`);
+    await this.port.updateRun(this.runId, {
+      link: [this.buildUrl],
+      statusLabel: `Jenkins build #${this.buildNumber} in progress`,
+    });
+    await this.port.addRunLog(this.runId, `Streaming Jenkins logs of ${this.jobName} #${this.buildNumber}...`);
+    await this.port.addRunLog(this.runId, '─'.repeat(80));
+  }
+
+  /**
+   * Ship log text (already masked and normalised)
+   */
+  write(text) {
+    this.shipper.write(text);
+  }
+
+  /**
+   * Update the status label from the pipeline tree (only when it changed)
+   * Failures are logged and never stop the build from being reported.
+   */
+  async updateStages(tree) {
+    const label = `Build #${this.buildNumber} - ${formatTreeLabel(tree.children) || 'Running'}`;
+    if (label === this.lastLabel) return;
+    this.lastLabel = label;
+    try {
+      await this.port.updateRun(this.runId, { statusLabel: label });
+    } catch (error) {
+      logger.debug(`Could not update status label of run ${this.runId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send the remaining logs and end the run with the build result
+   * @param {Object} buildStatus - getBuildStatus() result
+   * @param {Object} tree - PipelineFollower tree, if the pipeline was followed
+   */
+  async finish(buildStatus, tree = null) {
+    const stats = await this.shipper.close();
+    logger.info(`Log shipping for run ${this.runId}: ${stats.sentLines} lines sent in ${stats.sentMessages} messages, ${stats.droppedLines} dropped`);
+
+    const isSuccess = buildStatus.result === BUILD_STATUS.SUCCESS;
+    const duration = ((buildStatus.duration || 0) / 1000).toFixed(2);
+    const stages = tree ? formatTreeLabel(tree.children) : '';
+
+    await this.port.addRunLog(this.runId, '─'.repeat(80));
+    await this.port.addRunLog(
+      this.runId,
+      `📊 Streamed ${stats.sentLines} log lines in ${stats.sentMessages} messages` +
+      (stats.droppedLines ? ` (${stats.droppedLines} lines dropped)` : '')
+    );
+    if (tree) {
+      await this.port.addRunLog(this.runId, `🌳 Pipeline summary:\n${renderTree(tree)}`);
+    }
+    await this.port.addRunLog(
+      this.runId,
+      isSuccess
+        ? `✅ Jenkins build #${this.buildNumber} completed successfully in ${duration}s`
+        : `❌ Jenkins build failed with status: ${buildStatus.result}`,
+      {
+        terminationStatus: isSuccess ? 'SUCCESS' : 'FAILURE',
+        statusLabel: `Build ${buildStatus.result} (${duration}s)${stages ? ` - ${stages}` : ''}`,
+      }
+    );
+    logger.info(`✅ Port run ${this.runId} completed: ${buildStatus.result}`);
+  }
+
+  /**
+   * End the run after the build could not be followed
+   */
+  async fail(error) {
+    await this.shipper.close();
+    try {
+      await this.port.addRunLog(this.runId, `❌ Error following Jenkins build #${this.buildNumber}: ${error.message}`, {
+        terminationStatus: 'FAILURE',
+        statusLabel: 'Failed to follow Jenkins build',
+      });
+    } catch (reportError) {
+      logger.error(`❌ Failed to report error to Port run ${this.runId}: ${reportError.message}`);
+    }
+  }
+}
+
+module.exports = PortRunReporter;
+module.exports.RUN_ID_KEYS = RUN_ID_KEYS;
+module.exports.findRunId = findRunId;
@@ -0,0 +1,165 @@
+const axios = require('./axios-config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Port API base URLs by region
+ */
+const PORT_REGIONS = {
+  eu: { apiUrl: 'https://api.getport.io/v1', appUrl: 'https://app.getport.io' },
+  us: { apiUrl: 'https://api.us.getport.io/v1', appUrl: 'https://app.us.getport.io' },
+};
+
+/**
+ * Used when neither the response nor the token says when it expires
+ */
+const DEFAULT_TOKEN_LIFETIME = 60 * 60 * 1000;
+
+/**
+ * Resolve the Port API and app URLs
+ * PORT_API_URL / PORT_APP_URL win over PORT_REGION (eu or us, default eu),
+ * e.g. PORT_API_URL=http://localhost:3000/v1 for a local mock server.
+ * @returns {{apiUrl: string, appUrl: string}}
+ */
+function resolvePortUrls({ apiUrl, appUrl, region } = {}) {
+  const regionName = (region || process.env.PORT_REGION || 'eu').toLowerCase();
+  const defaults = PORT_REGIONS[regionName];
+  if (!defaults) {
+    throw new Error(`Invalid PORT_REGION '${regionName}'. Expected one of: ${Object.keys(PORT_REGIONS).join(', ')}`);
+  }
+  return {
+    apiUrl: (apiUrl || process.env.PORT_API_URL || defaults.apiUrl).replace(/\/+$/, ''),
+    appUrl: (appUrl || process.env.PORT_APP_URL || defaults.appUrl).replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * Read the `exp` claim of a JWT
+ * @returns {number|null} Expiry in ms since epoch
+ */
+function decodeJwtExpiry(token) {
+  const payload = typeof token === 'string' ? token.split('.')[1] : null;
+  if (!payload) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const sharedManagers = new Map();
+
+/**
+ * Port API access tokens
+ * Tokens are cached until shortly before they expire (expiresIn from the auth
+ * response, else the JWT exp claim). Concurrent callers share one refresh,
+ * and withToken() retries a request once with a new token after a 401.
+ */
+class PortTokenManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - Port API base URL
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   * @param {number} options.refreshMarginMs - Refresh this long before expiry (default 5 minutes)
+   */
+  constructor({ apiUrl, clientId, clientSecret, refreshMarginMs = 5 * 60 * 1000 }) {
+    this.apiUrl = apiUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.refreshMarginMs = refreshMarginMs;
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.refreshing = null;
+    this.stats = { refreshes: 0, failures: 0 };
+  }
+
+  /**
+   * One manager per API URL and client, shared by everything in the process
+   */
+  static shared(options) {
+    const key = `${options.apiUrl}|${options.clientId}`;
+    if (!sharedManagers.has(key)) {
+      sharedManagers.set(key, new PortTokenManager(options));
+    }
+    return sharedManagers.get(key);
+  }
+
+  /**
+   * Get a valid access token, refreshing it if needed
+   */
+  async getToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - this.refreshMarginMs) {
+      return this.accessToken;
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.fetchToken().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async fetchToken() {
+    logger.info('🔑 Fetching new Port API access token...');
+
+    try {
+      const response = await axios.post(`${this.apiUrl}/auth/access_token`, {
+        clientId: this.clientId,
+        clientSecret: this.clientSecret,
+      });
+
+      const { accessToken, expiresIn } = response.data;
+      const issuedAt = Date.now();
+      this.accessToken = accessToken;
+      this.expiresAt = expiresIn
+        ? issuedAt + expiresIn * 1000
+        : decodeJwtExpiry(accessToken) || issuedAt + DEFAULT_TOKEN_LIFETIME;
+      this.stats.refreshes++;
+      metrics.portTokenRefreshes.inc({ outcome: 'success' });
+
+      logger.info(`✅ Access token obtained (expires ${new Date(this.expiresAt).toISOString()})`);
+      return this.accessToken;
+    } catch (error) {
+      this.stats.failures++;
+      metrics.portTokenRefreshes.inc({ outcome: 'failure' });
+      logger.error('❌ Failed to get access token:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a token the API rejected (unless it was already replaced)
+   */
+  invalidate(token) {
+    if (!token || token === this.accessToken) {
+      this.accessToken = null;
+      this.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Run a request with a token, retrying once with a fresh token after a 401
+   * @param {function(string): Promise} request - Called with the access token
+   */
+  async withToken(request) {
+    const token = await this.getToken();
+    try {
+      return await request(token);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+      logger.warn('🔑 Port API rejected the access token (401), refreshing and retrying once');
+      this.invalidate(token);
+      return request(await this.getToken());
+    }
+  }
+}
+
+module.exports = PortTokenManager;
+module.exports.PORT_REGIONS = PORT_REGIONS;
+module.exports.resolvePortUrls = resolvePortUrls;
+module.exports.decodeJwtExpiry = decodeJwtExpiry;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Compact the file after this many appended operations
+ */
+const COMPACT_THRESHOLD = 1000;
+
+/**
+ * Durable store of in-flight Port runs
+ * Backed by an append-only JSON-lines file: every change appends a `put` or
+ * `delete` operation, and the file is rewritten with only the live records on
+ * load and whenever enough operations have accumulated.
+ *
+ * Record shape: { runId, actionIdentifier, jenkinsServer, jobName, buildNumber, logOffset, seenStages, startedAt, updatedAt }
+ */
+class RunStateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.runs = new Map();
+    this.pendingOps = 0;
+  }
+
+  /**
+   * Load records from disk and compact the file
+   * @returns {Array<Object>} Active runs
+   */
+  load() {
+    this.runs.clear();
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const op = JSON.parse(line);
+          if (op.op === 'put' && op.run?.runId) {
+            this.runs.set(op.run.runId, op.run);
+          } else if (op.op === 'delete' && op.runId) {
+            this.runs.delete(op.runId);
+          }
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line
+          logger.warn(`Skipping unreadable line in run state file ${this.filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    this.compact();
+    return this.list();
+  }
+
+  /**
+   * Get a run record
+   */
+  get(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * List all run records
+   */
+  list() {
+    return Array.from(this.runs.values());
+  }
+
+  /**
+   * Create or merge fields into a run record
+   */
+  put(runId, fields) {
+    const run = {
+      ...this.runs.get(runId),
+      ...fields,
+      runId,
+      updatedAt: new Date().toISOString(),
+    };
+    this.runs.set(runId, run);
+    this.append({ op: 'put', run });
+    return run;
+  }
+
+  /**
+   * Remove a run record (run reached a terminal state)
+   */
+  delete(runId) {
+    if (!this.runs.has(runId)) return;
+    this.runs.delete(runId);
+    this.append({ op: 'delete', runId });
+  }
+
+  /**
+   * Append an operation to the file
+   */
+  append(op) {
+    try {
+      this.ensureDir();
+      fs.appendFileSync(this.filePath, JSON.stringify(op) + '\n', 'utf8');
+      this.pendingOps++;
+      if (this.pendingOps >= COMPACT_THRESHOLD) {
+        this.compact();
+      }
+    } catch (error) {
+      logger.error(`Failed to persist run state to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rewrite the file with only the live records
+   */
+  compact() {
+    try {
+      this.ensureDir();
+      const tmpFile = `${this.filePath}.tmp`;
+      const content = this.list().map(run => JSON.stringify({ op: 'put', run }) + '\n').join('');
+      fs.writeFileSync(tmpFile, content, 'utf8');
+      fs.renameSync(tmpFile, this.filePath);
+      this.pendingOps = 0;
+    } catch (error) {
+      logger.error(`Failed to compact run state file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  ensureDir() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+module.exports = RunStateStore;
@@ -0,0 +1,244 @@
+/**
+ * Secret masking for streamed logs and echoed parameters
+ * Masks known secret values (env credentials, secret action inputs) and
+ * anything matching the configured patterns (AWS keys, bearer tokens, JWTs, ...).
+ */
+
+const MASK = '****';
+
+/**
+ * Built-in patterns for secrets that commonly leak into build logs
+ */
+const DEFAULT_PATTERNS = [
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, // AWS access key ID
+  /(aws_secret_access_key\s*[=:]\s*)[A-Za-z0-9/+=]{40}/gi, // AWS secret key assignment
+  /(\bBearer\s+)[A-Za-z0-9\-._~+/]+=*/g, // Bearer tokens
+  /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g, // JWTs
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, // GitHub tokens
+];
+
+/**
+ * Env vars whose values are always masked
+ */
+const DEFAULT_SECRET_ENV_VARS = [
+  'PORT_CLIENT_SECRET',
+  'JENKINS_API_TOKEN',
+  'KAFKA_PASSWORD',
+  'WEBHOOK_SECRET',
+  'LOG_ARCHIVE_S3_SECRET_ACCESS_KEY',
+  'LOG_ARCHIVE_ES_PASSWORD',
+  'LOG_ARCHIVE_ES_API_KEY',
+];
+
+/**
+ * Action input names treated as secret even when the action does not say so
+ */
+const SECRET_INPUT_NAME = /(password|passwd|secret|token|api[_-]?key|credential|private[_-]?key)/i;
+
+/**
+ * Values shorter than this are not masked (too many false positives)
+ */
+const MIN_SECRET_LENGTH = 4;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class SecretMasker {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.secrets - Literal values to mask
+   * @param {Array<RegExp>} options.patterns - Patterns to mask; a first capture group is kept as a prefix
+   */
+  constructor(options = {}) {
+    this.patterns = (options.patterns || DEFAULT_PATTERNS).map(pattern =>
+      pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g')
+    );
+    this.secrets = [];
+    this.secretRegex = null;
+    this.addSecrets(options.secrets || []);
+  }
+
+  /**
+   * Build a masker from the environment
+   * SECRET_ENV_VARS adds env var names to mask, SECRET_PATTERNS is a JSON array of extra regexes.
+   */
+  static fromEnv(env = process.env) {
+    const envVars = [
+      ...DEFAULT_SECRET_ENV_VARS,
+      ...(env.SECRET_ENV_VARS ? env.SECRET_ENV_VARS.split(',').map(name => name.trim()) : []),
+    ];
+
+    let extraPatterns = [];
+    if (env.SECRET_PATTERNS) {
+      try {
+        extraPatterns = JSON.parse(env.SECRET_PATTERNS).map(source => new RegExp(source, 'g'));
+      } catch (error) {
+        throw new Error(`SECRET_PATTERNS must be a JSON array of regular expressions: ${error.message}`);
+      }
+    }
+
+    return new SecretMasker({
+      secrets: envVars.map(name => env[name]).filter(Boolean),
+      patterns: [...DEFAULT_PATTERNS, ...extraPatterns],
+    });
+  }
+
+  /**
+   * Add literal secret values
+   */
+  addSecrets(values) {
+    for (const value of values) {
+      if (value === undefined || value === null) continue;
+      const secret = String(value);
+      if (secret.length >= MIN_SECRET_LENGTH && !this.secrets.includes(secret)) {
+        this.secrets.push(secret);
+      }
+    }
+    // Longest first so a secret containing another is masked whole
+    this.secrets.sort((a, b) => b.length - a.length);
+    this.secretRegex = this.secrets.length > 0
+      ? new RegExp(this.secrets.map(escapeRegExp).join('|'), 'g')
+      : null;
+    return this;
+  }
+
+  /**
+   * New masker with the same patterns and secrets plus the given values
+   */
+  withSecrets(values) {
+    return new SecretMasker({ patterns: this.patterns, secrets: this.secrets }).addSecrets(values);
+  }
+
+  /**
+   * Length of the longest literal secret (used to size the stream hold-back)
+   */
+  get maxSecretLength() {
+    return this.secrets.length > 0 ? this.secrets[0].length : 0;
+  }
+
+  /**
+   * Mask a string
+   */
+  mask(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let masked = this.secretRegex ? text.replace(this.secretRegex, MASK) : text;
+    for (const pattern of this.patterns) {
+      masked = masked.replace(pattern, (match, prefix) =>
+        typeof prefix === 'string' ? `${prefix}${MASK}` : MASK
+      );
+    }
+    return masked;
+  }
+
+  /**
+   * Deep-copy a value, masking strings and the values of secret keys
+   * @param {*} value
+   * @param {function(string): boolean} isSecretKey
+   */
+  maskObject(value, isSecretKey = (key) => SECRET_INPUT_NAME.test(key)) {
+    if (typeof value === 'string') return this.mask(value);
+    if (Array.isArray(value)) return value.map(item => this.maskObject(item, isSecretKey));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        isSecretKey(key) && item !== null && item !== undefined && item !== '' ? MASK : this.maskObject(item, isSecretKey),
+      ]));
+    }
+    return value;
+  }
+
+  /**
+   * Move a cut position back so it does not fall inside a secret or pattern match
+   * @returns {number} Position at or before `cut`
+   */
+  safeCut(text, cut) {
+    const expressions = this.secretRegex ? [this.secretRegex, ...this.patterns] : this.patterns;
+    let moved = true;
+    while (moved && cut > 0) {
+      moved = false;
+      for (const expression of expressions) {
+        for (const match of text.matchAll(expression)) {
+          const end = match.index + match[0].length;
+          if (match.index < cut && end > cut) {
+            cut = match.index;
+            moved = true;
+          }
+        }
+      }
+    }
+    return cut;
+  }
+
+  /**
+   * Create a masking stream for chunked text
+   * Whole lines are masked and released; a trailing partial line is held back
+   * (up to a bounded tail) so a secret split across chunks is still masked.
+   * @returns {{write: function(string): string, end: function(): string, hasPending: function(): boolean}}
+   */
+  createStream() {
+    let pending = '';
+    const maxPending = Math.max(4096, this.maxSecretLength * 2);
+    const holdBack = Math.max(256, this.maxSecretLength);
+
+    return {
+      write: (chunk) => {
+        pending += chunk;
+        const lastNewline = pending.lastIndexOf('\n');
+        let ready = '';
+
+        if (lastNewline !== -1) {
+          ready = pending.slice(0, lastNewline + 1);
+          pending = pending.slice(lastNewline + 1);
+        }
+
+        // A very long line is released except for a tail that may hold a split
+        // secret; the cut never falls inside a match, which would leave part of it in clear
+        if (pending.length > maxPending) {
+          const cut = this.safeCut(pending, pending.length - holdBack);
+          ready += pending.slice(0, cut);
+          pending = pending.slice(cut);
+        }
+
+        return this.mask(ready);
+      },
+      end: () => {
+        const rest = this.mask(pending);
+        pending = '';
+        return rest;
+      },
+      hasPending: () => pending.length > 0,
+    };
+  }
+}
+
+/**
+ * Whether an action input is secret
+ * An input is secret when the action marks it (encryption / password format)
+ * or when its name looks like a credential.
+ * @param {string} key - Input name
+ * @param {Object} action - Action definition from the message
+ */
+function isSecretInput(key, action = {}) {
+  const definitions = action?.userInputs?.properties || action?.trigger?.userInputs?.properties || {};
+  const definition = definitions[key] || {};
+  return Boolean(definition.encryption) || definition.format === 'password' || SECRET_INPUT_NAME.test(key);
+}
+
+/**
+ * Values of the secret inputs of an action run
+ * @param {Object} properties - Run inputs
+ * @param {Object} action - Action definition from the message
+ */
+function getSecretInputValues(properties = {}, action = {}) {
+  return Object.entries(properties || {})
+    .filter(([key]) => isSecretInput(key, action))
+    .map(([, value]) => (value && typeof value === 'object' ? JSON.stringify(value) : value));
+}
+
+module.exports = SecretMasker;
+module.exports.MASK = MASK;
+module.exports.DEFAULT_PATTERNS = DEFAULT_PATTERNS;
+module.exports.SECRET_INPUT_NAME = SECRET_INPUT_NAME;
+module.exports.isSecretInput = isSecretInput;
+module.exports.getSecretInputValues = getSecretInputValues;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Persisted set of Port run IDs this consumer has already started processing
+ * Stored as JSON lines ({ runId, seenAt }); entries older than the TTL are
+ * dropped when the file is loaded.
+ */
+class SeenRunSet {
+  /**
+   * @param {string} filePath - JSON-lines file
+   * @param {number} ttlMs - How long to remember a run ID
+   */
+  constructor(filePath, ttlMs = 7 * 24 * 60 * 60 * 1000) {
+    this.filePath = filePath;
+    this.ttlMs = ttlMs;
+    this.runs = new Map();
+  }
+
+  /**
+   * Load the set from disk, dropping expired entries
+   */
+  load() {
+    this.runs.clear();
+    const cutoff = Date.now() - this.ttlMs;
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.runId && entry.seenAt >= cutoff) {
+            this.runs.set(entry.runId, entry.seenAt);
+          }
+        } catch (error) {
+          logger.warn(`Skipping unreadable line in seen runs file ${this.filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    this.rewrite();
+    return this.runs.size;
+  }
+
+  has(runId) {
+    return this.runs.has(runId);
+  }
+
+  /**
+   * Remember a run ID
+   */
+  add(runId) {
+    if (this.runs.has(runId)) return;
+    const seenAt = Date.now();
+    this.runs.set(runId, seenAt);
+    try {
+      this.ensureDir();
+      fs.appendFileSync(this.filePath, JSON.stringify({ runId, seenAt }) + '\n', 'utf8');
+    } catch (error) {
+      logger.error(`Failed to persist seen run ${runId} to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  rewrite() {
+    try {
+      this.ensureDir();
+      const tmpFile = `${this.filePath}.tmp`;
+      const content = Array.from(this.runs.entries())
+        .map(([runId, seenAt]) => JSON.stringify({ runId, seenAt }) + '\n')
+        .join('');
+      fs.writeFileSync(tmpFile, content, 'utf8');
+      fs.renameSync(tmpFile, this.filePath);
+    } catch (error) {
+      logger.error(`Failed to rewrite seen runs file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  ensureDir() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+}
+
+module.exports = SeenRunSet;
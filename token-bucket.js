@@ -0,0 +1,51 @@
+/**
+ * Token bucket rate limiter
+ * Holds up to `capacity` tokens, refilled continuously at `ratePerSecond`.
+ * take() resolves once a token is available; waiters are served in order.
+ */
+class TokenBucket {
+  constructor({ ratePerSecond = 5, capacity = 10 } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for and consume one token
+   */
+  take() {
+    const next = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = next;
+    return next;
+  }
+
+  /**
+   * Drain the bucket for a while (e.g. after a 429 with Retry-After)
+   */
+  pause(ms) {
+    this.queue = this.queue.then(() => new Promise(resolve => setTimeout(resolve, ms)))
+      .then(() => {
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+      });
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,224 @@
+/**
+ * Authentication for the webhook server
+ * - HMAC-SHA256 signatures over the raw request body with a timestamp window
+ *   and a nonce cache against replays (POST /webhook)
+ * - an optional allowlist of source IPs / CIDR ranges
+ * - bearer tokens for the read endpoints (/logs, /status, /builds)
+ *
+ * Signed requests carry:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *   X-Webhook-Nonce:     <unique value> (optional; the signature is used when absent)
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const logger = require('./logger');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const NONCE_HEADER = 'x-webhook-nonce';
+
+/**
+ * Keep the raw body for signature checks (express.json `verify` option)
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Signature of a payload, as sent in X-Webhook-Signature
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function reject(res, status, message) {
+  return res.status(status).json({
+    error: status === 401 ? 'Unauthorized' : 'Forbidden',
+    message,
+  });
+}
+
+/**
+ * Nonces seen within the timestamp window
+ * Entries expire with the window, so memory is bounded by the request rate.
+ */
+class NonceCache {
+  /**
+   * @param {number} ttlMs - How long a nonce is remembered
+   * @param {number} maxEntries - Oldest nonces are evicted beyond this
+   */
+  constructor(ttlMs, maxEntries = 10000) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Remember a nonce
+   * @returns {boolean} false if it was already seen (a replay)
+   */
+  add(nonce, now = Date.now()) {
+    this.prune(now);
+    if (this.entries.has(nonce)) {
+      return false;
+    }
+    this.entries.set(nonce, now + this.ttlMs);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return true;
+  }
+
+  prune(now = Date.now()) {
+    // Insertion order is expiry order, so stop at the first live entry
+    for (const [nonce, expiresAt] of this.entries) {
+      if (expiresAt > now) break;
+      this.entries.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Middleware verifying signed webhook requests
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret (WEBHOOK_SECRET)
+ * @param {number} options.toleranceSeconds - Max clock difference of X-Webhook-Timestamp (default 300)
+ */
+function verifySignature({ secret, toleranceSeconds = 300 }) {
+  const nonces = new NonceCache(toleranceSeconds * 2 * 1000);
+
+  return (req, res, next) => {
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    if (!signature || !timestamp) {
+      return reject(res, 401, `Missing ${!signature ? 'X-Webhook-Signature' : 'X-Webhook-Timestamp'} header`);
+    }
+
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds)) {
+      return reject(res, 401, 'Invalid X-Webhook-Timestamp header (expected unix seconds)');
+    }
+    const skew = Math.abs(Date.now() / 1000 - seconds);
+    if (skew > toleranceSeconds) {
+      return reject(res, 401, `Request timestamp is outside the ${toleranceSeconds}s tolerance window`);
+    }
+
+    const expected = signPayload(secret, timestamp, req.rawBody || Buffer.alloc(0));
+    if (!safeEqual(signature, expected)) {
+      logger.warn(`🔒 Rejected webhook from ${req.ip}: invalid signature`);
+      return reject(res, 401, 'Invalid signature');
+    }
+
+    if (!nonces.add(req.get(NONCE_HEADER) || signature)) {
+      logger.warn(`🔒 Rejected webhook from ${req.ip}: replayed request`);
+      return reject(res, 401, 'Request was already received (replay)');
+    }
+
+    next();
+  };
+}
+
+/**
+ * Parse an allowlist of IPs and CIDR ranges ("10.0.0.0/8, 192.168.1.5, ::1")
+ * @returns {net.BlockList|null} null for an empty list
+ */
+function parseAllowlist(value) {
+  const entries = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return null;
+
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid IP allowlist entry '${entry}'`);
+    }
+    if (prefix !== undefined) {
+      list.addSubnet(address, parseInt(prefix, 10), type);
+    } else {
+      list.addAddress(address, type);
+    }
+  }
+  return list;
+}
+
+/**
+ * Middleware rejecting requests from addresses outside the allowlist
+ * Behind a proxy, set the app's `trust proxy` so req.ip is the client address.
+ * @param {net.BlockList} allowlist - From parseAllowlist
+ */
+function ipAllowlist(allowlist) {
+  return (req, res, next) => {
+    const ip = (req.ip || '').replace(/^::ffff:/, '');
+    const allowed = net.isIPv4(ip)
+      ? allowlist.check(ip, 'ipv4')
+      : net.isIPv6(ip) && allowlist.check(ip, 'ipv6');
+    if (!allowed) {
+      logger.warn(`🔒 Rejected request to ${req.path} from ${ip || 'unknown address'}: not in allowlist`);
+      return reject(res, 403, `Address ${ip || 'unknown'} is not allowed`);
+    }
+    next();
+  };
+}
+
+/**
+ * Bearer token of a request: the Authorization header, or an access_token
+ * query parameter for clients that cannot set headers (EventSource, browser WebSockets)
+ */
+function requestToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+}
+
+/**
+ * Check a request's bearer token
+ * @returns {{status: number, message: string}|null} The rejection, or null if allowed
+ */
+function checkBearer(req, tokens) {
+  const token = requestToken(req);
+  if (!token) {
+    return { status: 401, message: 'Missing bearer token' };
+  }
+  if (!tokens.some(candidate => safeEqual(token, candidate))) {
+    return { status: 403, message: 'Invalid bearer token' };
+  }
+  return null;
+}
+
+/**
+ * Middleware requiring one of the given bearer tokens
+ * @param {Array<string>} tokens
+ */
+function bearerAuth(tokens) {
+  return (req, res, next) => {
+    const rejection = checkBearer(req, tokens);
+    if (rejection) {
+      if (rejection.status === 401) res.set('WWW-Authenticate', 'Bearer');
+      return reject(res, rejection.status, rejection.message);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  NonceCache,
+  captureRawBody,
+  signPayload,
+  verifySignature,
+  parseAllowlist,
+  ipAllowlist,
+  checkBearer,
+  bearerAuth,
+};
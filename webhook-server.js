@@ -1,9 +1,25 @@
 require('dotenv').config();
 const express = require('express');
+const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 const JenkinsLogCapture = require('./jenkins-log-capture');
+const LogArchive = require('./log-archive');
+const LogIndex = require('./log-index');
+const { parseSince } = require('./log-index');
+const PortClient = require('./port-client');
+const PortRunReporter = require('./port-run-reporter');
+const { findRunId } = require('./port-run-reporter');
+const PipelineFollower = require('./pipeline-tree');
+const TokenBucket = require('./token-bucket');
+const BuildStreamHub = require('./build-stream-hub');
+const { WebSocketServer } = require('ws');
+const { globToRegExp } = require('./action-handler-registry');
+const { captureRawBody, verifySignature, parseAllowlist, ipAllowlist, checkBearer, bearerAuth } = require('./webhook-auth');
 const logger = require('./logger');
+const metrics = require('./metrics');
+const { normalizeLog, parseLogFormat } = require('./log-normalizer');
 
 /**
  * Jenkins Webhook Server
@@ -12,40 +28,125 @@ const logger = require('./logger');
  */
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 
-// Store active build monitoring tasks
+// Behind a reverse proxy, req.ip is taken from X-Forwarded-For (e.g. WEBHOOK_TRUST_PROXY=1 for one hop)
+if (process.env.WEBHOOK_TRUST_PROXY) {
+  const trustProxy = process.env.WEBHOOK_TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
+// /webhook: optional source allowlist and HMAC signature (WEBHOOK_SECRET)
+const webhookAuth = [];
+const allowlist = parseAllowlist(process.env.WEBHOOK_ALLOWED_IPS);
+if (allowlist) {
+  webhookAuth.push(ipAllowlist(allowlist));
+}
+if (process.env.WEBHOOK_SECRET) {
+  webhookAuth.push(verifySignature({
+    secret: process.env.WEBHOOK_SECRET,
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS, 10) || 300,
+  }));
+}
+
+// /status, /logs, /search and /builds: bearer tokens (WEBHOOK_API_TOKENS)
+const apiTokens = (process.env.WEBHOOK_API_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+const readAuth = apiTokens.length > 0 ? [bearerAuth(apiTokens)] : [];
+
+// Store active build monitoring tasks, keyed by "<job path> #<build number>"
 const activeTasks = new Map();
 
+/**
+ * Parse a comma-separated list of job names and globs (e.g. "deploy-*,team-a/*")
+ */
+function parseJobPatterns(value) {
+  return (value || '').split(',').map(pattern => pattern.trim()).filter(Boolean).map(globToRegExp);
+}
+
+// Jobs accepted by /webhook: WEBHOOK_ALLOWED_JOBS (default: all), minus WEBHOOK_DENIED_JOBS
+const jobFilter = {
+  allow: parseJobPatterns(process.env.WEBHOOK_ALLOWED_JOBS),
+  deny: parseJobPatterns(process.env.WEBHOOK_DENIED_JOBS),
+};
+
+function isJobAllowed(jobName) {
+  if (jobFilter.deny.some(pattern => pattern.test(jobName))) return false;
+  return jobFilter.allow.length === 0 || jobFilter.allow.some(pattern => pattern.test(jobName));
+}
+
 // Initialize Jenkins log capture client
 const jenkinsCapture = new JenkinsLogCapture({
   jenkinsUrl: process.env.JENKINS_URL,
   username: process.env.JENKINS_USERNAME,
   apiToken: process.env.JENKINS_API_TOKEN,
-  jobName: process.env.JENKINS_JOB_NAME
+  jobName: process.env.JENKINS_JOB_NAME,
+  // Created up front so a misconfigured LOG_ARCHIVE_SINKS fails at startup
+  archive: LogArchive.fromEnv(),
+});
+
+// Directory of the local archive, served by /logs
+const LOGS_DIR = jenkinsCapture.archive.sinks.find(sink => sink.name === 'local')?.dir || './logs';
+
+// Index of the local archive for /search and line ranges, updated as builds are archived
+const logIndex = new LogIndex({
+  dir: LOGS_DIR,
+  indexFile: process.env.LOG_INDEX_FILE || './state/log-index.jsonl',
+});
+logIndex.load();
+jenkinsCapture.archive.addHooks({
+  onSaved: ({ sink, location, build, logs }) => {
+    if (sink === 'local') logIndex.add(path.basename(location), build, logs);
+  },
+});
+
+// Shared upstream log pollers, one per build, for the capture and live viewers
+const buildStreams = new BuildStreamHub({
+  capture: jenkinsCapture,
+  maxBufferBytes: parseInt(process.env.WEBHOOK_STREAM_BUFFER_BYTES, 10) || undefined,
+  retainMs: parseInt(process.env.WEBHOOK_STREAM_RETAIN_MS, 10) || undefined,
+  idleMs: parseInt(process.env.WEBHOOK_STREAM_IDLE_MS, 10) || undefined,
+  maxStreams: parseInt(process.env.WEBHOOK_STREAM_MAX, 10) || undefined,
+});
+
+// Port API client (null unless PORT_CLIENT_ID / PORT_CLIENT_SECRET are set)
+const portClient = PortClient.fromEnv();
+if (portClient) {
+  portClient.addHooks(metrics.portApiHooks);
+}
+
+metrics.onCollect(() => {
+  metrics.webhookActiveCaptures.set(activeTasks.size);
+  metrics.buildStreamViewers.set(buildStreams.list().reduce((total, stream) => total + stream.subscribers, 0));
 });
 
+// Builds carrying a PORT_RUN_ID are reported to that Port run
+const portReporting = {
+  logFormat: parseLogFormat(process.env.PORT_LOG_FORMAT, 'clean'),
+  rateLimiter: new TokenBucket({
+    ratePerSecond: parseFloat(process.env.PORT_LOG_RATE_LIMIT) || 5,
+    capacity: parseInt(process.env.PORT_LOG_RATE_BURST, 10) || 10,
+  }),
+  maxMessageSize: parseInt(process.env.PORT_LOG_MAX_MESSAGE_SIZE, 10) || 4000,
+  flushInterval: parseInt(process.env.PORT_LOG_FLUSH_INTERVAL_MS, 10) || 2000,
+  maxDepth: parseInt(process.env.PIPELINE_MAX_DEPTH, 10) >= 0 ? parseInt(process.env.PIPELINE_MAX_DEPTH, 10) : 3,
+  branchLogs: process.env.PIPELINE_BRANCH_LOGS === 'true',
+  detailInterval: parseInt(process.env.PIPELINE_DETAIL_INTERVAL_MS, 10) || 5000,
+};
+
 /**
- * Save logs with webhookstream prefix to differentiate from manual captures
+ * Archive logs as webhook captures (webhookstream- prefix in the local archive)
+ * @param {string} logs - Normalised and masked
+ * @param {Object} status - Build status, for the archived metadata
  */
-async function saveWebhookLogs(buildNumber, logs) {
-  const outputDir = './logs';
-  
+async function saveWebhookLogs(jobName, buildNumber, logs, status = {}) {
   try {
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-
-    const filename = path.join(
-      outputDir,
-      `webhookstream-${jenkinsCapture.jobName}-build-${buildNumber}-${Date.now()}.log`
-    );
-    
-    fs.writeFileSync(filename, logs, 'utf8');
-    logger.info(`Logs saved to: ${filename}`);
-    return filename;
+    return await jenkinsCapture.archiveLogs(buildNumber, logs, {
+      jobName,
+      status,
+      source: 'webhook',
+    });
   } catch (error) {
-    logger.error(`Failed to save logs for build #${buildNumber}:`, error.message);
+    logger.error(`Failed to save logs for ${jobName} #${buildNumber}:`, error.message);
     throw error;
   }
 }
@@ -53,18 +154,30 @@ async function saveWebhookLogs(buildNumber, logs) {
 /**
  * Main webhook endpoint - receives notifications from Jenkins
  */
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', ...webhookAuth, async (req, res) => {
   try {
     const notification = req.body;
     
     // Validate required fields
     if (!notification || !notification.buildNumber || !notification.jobName) {
+      metrics.webhooksReceived.inc({ outcome: 'invalid' });
       logger.warn('Invalid webhook payload received:', notification);
       return res.status(400).json({
         error: 'Invalid payload',
         message: 'Missing required fields: buildNumber, jobName'
       });
     }
+
+    // Full job path as sent by Jenkins (JOB_NAME), e.g. "team/service/main"
+    notification.jobName = String(notification.jobName).replace(/^\/+|\/+$/g, '');
+    if (!isJobAllowed(notification.jobName)) {
+      metrics.webhooksReceived.inc({ outcome: 'forbidden' });
+      logger.warn(`🔒 Ignoring webhook for job ${notification.jobName}: not allowed by WEBHOOK_ALLOWED_JOBS / WEBHOOK_DENIED_JOBS`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Job ${notification.jobName} is not allowed`
+      });
+    }
     
     logger.info('\n=== Jenkins Webhook Received ===');
     logger.info(`Job: ${notification.jobName}`);
@@ -73,6 +186,8 @@ app.post('/webhook', async (req, res) => {
     logger.info(`URL: ${notification.buildUrl}`);
     logger.info(`Timestamp: ${new Date(notification.timestamp).toISOString()}`);
     
+    metrics.webhooksReceived.inc({ outcome: 'accepted' });
+
     // Acknowledge receipt immediately
     res.status(200).json({
       received: true,
@@ -96,62 +211,305 @@ app.post('/webhook', async (req, res) => {
   }
 });
 
+/**
+ * Attach a Port run reporter for a build, if it belongs to a Port run
+ * The run ID comes from the payload (portRunId / PORT_RUN_ID) or else from the
+ * build's PORT_RUN_ID parameter. Returns null when Port is not configured, the
+ * build has no run ID, the run should not be reported to or Port fails; the
+ * build's logs are captured either way.
+ */
+async function attachPortRun(notification) {
+  if (!portClient) return null;
+
+  const { jobName, buildNumber } = notification;
+  let runId = findRunId(notification);
+  if (!runId) {
+    try {
+      runId = findRunId(await jenkinsCapture.getBuildParameters(buildNumber, jobName));
+    } catch (error) {
+      logger.warn(`⚠️  Could not read parameters of ${jobName} #${buildNumber}: ${error.message}`);
+    }
+  }
+  if (!runId) return null;
+
+  try {
+    return await PortRunReporter.attach({
+      port: portClient,
+      runId,
+      jobName,
+      buildNumber,
+      buildUrl: notification.buildUrl || jenkinsCapture.buildUrl(buildNumber, jobName),
+      parseBuildUrl: (url) => jenkinsCapture.parseBuildUrl(url),
+      rateLimiter: portReporting.rateLimiter,
+      maxMessageSize: portReporting.maxMessageSize,
+      flushInterval: portReporting.flushInterval,
+    });
+  } catch (error) {
+    logger.warn(`⚠️  Not reporting ${jobName} #${buildNumber} to Port run ${runId}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Handle webhook notification and capture logs
  */
 async function handleWebhook(notification) {
   const { jobName, buildNumber, status } = notification;
-  const taskKey = `${jobName}-${buildNumber}`;
+  const taskKey = `${jobName} #${buildNumber}`;
 
   // If build is starting or in progress, start real-time monitoring
   if (status === 'STARTED' || status === null || status === 'IN_PROGRESS') {
-    logger.info(`\n📊 Starting real-time log capture for build #${buildNumber}...`);
+    logger.info(`\n📊 Starting real-time log capture for ${taskKey}...`);
     
     if (!activeTasks.has(taskKey)) {
       activeTasks.set(taskKey, true);
+      let reporter = null;
+      let stageCheckInterval = null;
+      let follower = null;
       
       try {
+        reporter = await attachPortRun(notification);
+
         let allLogs = '';
+        const pipeline = jenkinsCapture.createLogPipeline({
+          console: jenkinsCapture.consoleLogFormat,
+          file: jenkinsCapture.fileLogFormat,
+          port: portReporting.logFormat,
+        });
+        const writeOutput = (output) => {
+          process.stdout.write(output.console);
+          allLogs += output.file;
+          if (reporter) reporter.write(output.port);
+        };
+
+        // Stages, parallel branches and downstream builds of a reported run
+        if (reporter) {
+          follower = new PipelineFollower({
+            capture: jenkinsCapture,
+            jobName,
+            buildNumber,
+            maxDepth: portReporting.maxDepth,
+            branchLogs: portReporting.branchLogs,
+            detailInterval: portReporting.detailInterval,
+            createPipeline: () => {
+              const sourcePipeline = jenkinsCapture.createLogPipeline({ port: portReporting.logFormat });
+              return {
+                write: (chunk) => sourcePipeline.write(chunk).port,
+                end: () => sourcePipeline.end().port,
+              };
+            },
+            onLog: (text) => reporter.write(text),
+          });
+          const checkStages = async () => {
+            try {
+              await follower.refresh();
+              await reporter.updateStages(follower.tree);
+            } catch (error) {
+              logger.debug(`Stage check error: ${error.message}`);
+            }
+          };
+          await checkStages();
+          stageCheckInterval = setInterval(checkStages, 1000);
+        }
         
-        // Stream logs in real-time
-        await jenkinsCapture.streamLogs(buildNumber, (chunk) => {
-          process.stdout.write(chunk);
-          allLogs += chunk;
+        // Stream logs in real-time (normalised and masked before they reach stdout, disk or Port)
+        // through the build's shared stream, which live viewers subscribe to as well
+        const writeChunk = (chunk) => {
+          const output = pipeline.write(chunk);
+          if (follower) follower.scanLog(output.port);
+          writeOutput(output);
+        };
+        await new Promise((resolve, reject) => {
+          // Chunks are written in order behind the start of the log, when it has to be fetched
+          let written = Promise.resolve();
+          buildStreams.open(jobName, buildNumber, { force: true }).subscribe({
+            // A viewer opened the stream earlier and its buffer no longer holds the start
+            onTruncated: (firstOffset) => {
+              logger.warn(`⚠️  Shared stream of ${taskKey} starts at byte ${firstOffset}, reading the start of the log from Jenkins`);
+              written = jenkinsCapture.getLogHead(buildNumber, firstOffset, jobName)
+                .catch((error) => {
+                  logger.error(`❌ Could not read the start of the log of ${taskKey}: ${error.message}`);
+                  return `[First ${firstOffset} bytes of the log could not be read: ${error.message}]\n`;
+                })
+                .then(writeChunk);
+            },
+            onChunk: (chunk) => {
+              written = written.then(() => writeChunk(chunk));
+            },
+            onEnd: (end) => written.then(() => (end.error ? reject(new Error(end.error)) : resolve()), reject),
+          });
         });
+        writeOutput(pipeline.end());
 
         // Get final build status
-        const buildStatus = await jenkinsCapture.getBuildStatus(buildNumber);
+        const buildStatus = await jenkinsCapture.getBuildStatus(buildNumber, jobName);
+        metrics.jenkinsBuildSeconds.observe({ job: jobName, result: buildStatus.result || 'UNKNOWN' }, (buildStatus.duration || 0) / 1000);
         logger.info('\n--- Build Status ---');
         logger.info(`Result: ${buildStatus.result}`);
         logger.info(`Duration: ${buildStatus.duration}ms`);
 
-        // Save with webhookstream prefix
-        await saveWebhookLogs(buildNumber, allLogs);
+        if (reporter) {
+          clearInterval(stageCheckInterval);
+          await follower.finish();
+          await reporter.finish(buildStatus, follower.tree);
+        }
+
+        // Save with webhookstream prefix (already normalised)
+        await saveWebhookLogs(jobName, buildNumber, allLogs, buildStatus);
         
-        logger.info(`\n✅ Build #${buildNumber} completed: ${buildStatus.result}`);
+        logger.info(`\n✅ ${taskKey} completed: ${buildStatus.result}`);
       } catch (error) {
-        logger.error(`\n❌ Error monitoring build #${buildNumber}: ${error.message}`, error);
+        logger.error(`\n❌ Error monitoring ${taskKey}: ${error.message}`, error);
+        if (reporter) await reporter.fail(error);
       } finally {
+        clearInterval(stageCheckInterval);
+        if (follower) follower.stop();
         activeTasks.delete(taskKey);
       }
     } else {
-      logger.warn(`⚠️  Build #${buildNumber} is already being monitored`);
+      logger.warn(`⚠️  ${taskKey} is already being monitored`);
     }
   } 
   // If build is already completed, just fetch the logs
   else if (status === 'SUCCESS' || status === 'FAILURE' || status === 'UNSTABLE' || status === 'ABORTED') {
-    logger.info(`\n📥 Fetching logs for completed build #${buildNumber}...`);
-    
+    logger.info(`\n📥 Fetching logs for completed build ${taskKey}...`);
+
+    // A build monitored since it started is reported to Port by its monitor
+    let reporter = null;
+
     try {
-      const logs = await jenkinsCapture.getConsoleOutput(buildNumber);
-      await saveWebhookLogs(buildNumber, logs);
-      logger.info(`✅ Logs saved for build #${buildNumber} (${status})`);
+      reporter = activeTasks.has(taskKey) ? null : await attachPortRun(notification);
+
+      const rawLogs = await jenkinsCapture.getConsoleOutput(buildNumber, jobName);
+      const mask = (text) => jenkinsCapture.masker.mask(text);
+      const logs = normalizeLog(rawLogs, jenkinsCapture.fileLogFormat, { mask });
+
+      // Sent from the pipeline's post section, the build may not have its result yet
+      const currentStatus = await jenkinsCapture.getBuildStatus(buildNumber, jobName);
+      const buildStatus = currentStatus.building
+        ? { ...currentStatus, result: status, duration: notification.duration ?? currentStatus.duration }
+        : currentStatus;
+
+      await saveWebhookLogs(jobName, buildNumber, logs, buildStatus);
+      logger.info(`✅ Logs saved for ${taskKey} (${status})`);
+
+      if (reporter) {
+        reporter.write(normalizeLog(rawLogs, portReporting.logFormat, { mask }));
+        await reporter.finish(buildStatus);
+      }
     } catch (error) {
       logger.error(`❌ Error fetching logs: ${error.message}`, error);
+      if (reporter) await reporter.fail(error);
     }
   }
 }
 
+/**
+ * Route of the live log stream; the job path may contain slashes
+ */
+const BUILD_STREAM_PATH = /^\/builds\/(.+)\/(\d+)\/stream\/?$/;
+
+/**
+ * Feed a viewer from a build's shared stream
+ * Log text is normalised to the requested format and masked; it is only
+ * tagged with a resume offset at line boundaries, so a viewer reconnecting
+ * with that offset never sees half a line twice.
+ * @param {Object} options - { jobName, buildNumber, offset, format }
+ * @param {function(string, Object, number=)} send - Called with (event, data, offset)
+ * @returns {function()} Unsubscribe
+ */
+function subscribeViewer({ jobName, buildNumber, offset, format }, send) {
+  const stream = buildStreams.open(jobName, buildNumber);
+  const pipeline = jenkinsCapture.createLogPipeline({ view: format });
+
+  send('build', { jobName, buildNumber, buildUrl: jenkinsCapture.buildUrl(buildNumber, jobName), offset });
+  return stream.subscribe({
+    fromOffset: offset,
+    onTruncated: (firstOffset) => send('truncated', { requestedOffset: offset, firstOffset }),
+    onChunk: (chunk, nextOffset) => {
+      const { view } = pipeline.write(chunk);
+      if (view) {
+        send('log', { text: view }, pipeline.hasPending() ? undefined : nextOffset);
+      }
+    },
+    onStage: (stage) => send('stage', stage),
+    onEnd: (end) => {
+      const { view } = pipeline.end();
+      if (view) send('log', { text: view }, stream.offset);
+      send('end', end);
+    },
+  });
+}
+
+/**
+ * Parse the job, build and options of a stream request
+ * @returns {{jobName: string, buildNumber: number, offset: number, format: string}|{status: number, message: string}}
+ */
+function parseStreamRequest(pathname, query, lastEventId) {
+  const match = pathname.match(BUILD_STREAM_PATH);
+  if (!match) {
+    return { status: 404, message: 'Not found' };
+  }
+  const jobName = decodeURIComponent(match[1]).replace(/^\/+|\/+$/g, '');
+  if (!isJobAllowed(jobName)) {
+    return { status: 403, message: `Job ${jobName} is not allowed` };
+  }
+  const format = query.get('format') || 'clean';
+  if (!['raw', 'clean', 'jsonl'].includes(format)) {
+    return { status: 400, message: `Invalid format '${format}'. Expected raw, clean or jsonl` };
+  }
+  const buildNumber = parseInt(match[2], 10);
+  if (!buildStreams.canOpen(jobName, buildNumber)) {
+    return { status: 503, message: `Too many live log streams (${buildStreams.maxStreams} open), try again later` };
+  }
+  return {
+    jobName,
+    buildNumber,
+    offset: Math.max(0, parseInt(query.get('offset') ?? lastEventId, 10) || 0),
+    format,
+  };
+}
+
+/**
+ * Live log stream of a build over Server-Sent Events
+ * Events: build, log (id = byte offset to resume from), stage, truncated, end.
+ * Resume with ?offset=<bytes> or the Last-Event-ID header.
+ */
+app.get(BUILD_STREAM_PATH, ...readAuth, (req, res) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const request = parseStreamRequest(url.pathname, url.searchParams, req.get('last-event-id'));
+  if (request.status) {
+    return res.status(request.status).json({ error: http.STATUS_CODES[request.status], message: request.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data, offset) => {
+    res.write(`${offset !== undefined ? `id: ${offset}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', close);
+  unsubscribe = subscribeViewer(request, (event, data, offset) => {
+    send(event, data, offset);
+    if (event === 'end') {
+      close();
+      res.end();
+    }
+  });
+});
+
 /**
  * Health check endpoint
  */
@@ -164,41 +522,63 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Prometheus metrics
+ */
+app.get('/metrics', ...readAuth, metrics.metricsHandler);
+
 /**
  * Status endpoint - shows active monitoring tasks
  */
-app.get('/status', (req, res) => {
+app.get('/status', ...readAuth, (req, res) => {
   res.json({
     activeTasks: Array.from(activeTasks.keys()),
     count: activeTasks.size,
+    buildStreams: buildStreams.list(),
     jenkinsUrl: process.env.JENKINS_URL,
-    jobName: process.env.JENKINS_JOB_NAME,
+    defaultJobName: process.env.JENKINS_JOB_NAME,
+    allowedJobs: process.env.WEBHOOK_ALLOWED_JOBS || '*',
+    deniedJobs: process.env.WEBHOOK_DENIED_JOBS || null,
+    portApiUrl: portClient ? portClient.apiUrl : null,
     uptime: process.uptime(),
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * Log files served by /logs (plain or gzipped)
+ */
+const LOG_FILE = /\.log(\.gz)?$/;
+
 /**
  * List captured logs (all logs including webhookstream)
  */
-app.get('/logs', (req, res) => {
+app.get('/logs', ...readAuth, (req, res) => {
   try {
-    const logsDir = './logs';
+    const logsDir = LOGS_DIR;
     
     if (!fs.existsSync(logsDir)) {
       return res.json({ logs: [], count: 0 });
     }
 
     const files = fs.readdirSync(logsDir)
-      .filter(file => file.endsWith('.log'))
+      .filter(file => LOG_FILE.test(file))
       .map(file => {
         const stats = fs.statSync(path.join(logsDir, file));
+        const entry = logIndex.get(file);
         return {
           filename: file,
           size: stats.size,
           type: file.startsWith('webhookstream-') ? 'webhook' : 'manual',
           created: stats.birthtime,
-          modified: stats.mtime
+          modified: stats.mtime,
+          ...(entry && {
+            jobName: entry.jobName,
+            buildNumber: entry.buildNumber,
+            result: entry.result,
+            lines: entry.lines,
+            stages: entry.stages.map(stage => stage.name),
+          }),
         };
       })
       .sort((a, b) => b.created - a.created);
@@ -218,16 +598,16 @@ app.get('/logs', (req, res) => {
 /**
  * List only webhook-captured logs
  */
-app.get('/logs/webhook', (req, res) => {
+app.get('/logs/webhook', ...readAuth, (req, res) => {
   try {
-    const logsDir = './logs';
+    const logsDir = LOGS_DIR;
     
     if (!fs.existsSync(logsDir)) {
       return res.json({ logs: [], count: 0 });
     }
 
     const files = fs.readdirSync(logsDir)
-      .filter(file => file.startsWith('webhookstream-') && file.endsWith('.log'))
+      .filter(file => file.startsWith('webhookstream-') && LOG_FILE.test(file))
       .map(file => {
         const stats = fs.statSync(path.join(logsDir, file));
         return {
@@ -249,7 +629,7 @@ app.get('/logs/webhook', (req, res) => {
 /**
  * Get specific log file
  */
-app.get('/logs/:filename', (req, res) => {
+app.get('/logs/:filename', ...readAuth, (req, res) => {
   try {
     const filename = req.params.filename;
     
@@ -258,12 +638,28 @@ app.get('/logs/:filename', (req, res) => {
       return res.status(400).json({ error: 'Invalid filename' });
     }
     
-    const filepath = path.join('./logs', filename);
+    const filepath = path.join(LOGS_DIR, filename);
 
     if (!fs.existsSync(filepath)) {
       return res.status(404).json({ error: 'Log file not found' });
     }
 
+    if (req.query.from !== undefined || req.query.to !== undefined) {
+      return sendLineRange(req, res, filename);
+    }
+
+    // Archived logs are gzipped: pass them through to clients that accept
+    // gzip, decompress them for the others
+    if (filename.endsWith('.gz')) {
+      res.type('text/plain; charset=utf-8');
+      res.vary('Accept-Encoding');
+      if (req.acceptsEncodings('gzip')) {
+        res.set('Content-Encoding', 'gzip');
+        return res.sendFile(path.resolve(filepath));
+      }
+      return fs.createReadStream(filepath).pipe(zlib.createGunzip()).pipe(res);
+    }
+
     res.sendFile(path.resolve(filepath));
   } catch (error) {
     logger.error(`Error retrieving log file ${req.params.filename}:`, error);
@@ -271,6 +667,95 @@ app.get('/logs/:filename', (req, res) => {
   }
 });
 
+/**
+ * Parse a 1-based line number query parameter
+ */
+function parseLineNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`'${name}' must be a line number (1 or more)`);
+  }
+  return number;
+}
+
+/**
+ * Lines ?from= to ?to= (1-based, inclusive) of a log as plain text
+ * X-Line-From / X-Line-To give the lines returned, X-Total-Lines the length
+ * of the log when known, and a Link header points at the next page.
+ */
+async function sendLineRange(req, res, filename) {
+  let from;
+  let to;
+  try {
+    from = parseLineNumber(req.query.from, 'from') ?? 1;
+    to = parseLineNumber(req.query.to, 'to') ?? Infinity;
+    if (to < from) throw new Error("'to' must not be before 'from'");
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid line range', message: error.message });
+  }
+
+  let range;
+  try {
+    range = await logIndex.readLines(filename, from, to);
+  } catch (error) {
+    logger.error(`Error reading lines of ${filename}:`, error);
+    return res.status(500).json({ error: 'Failed to read log file', message: error.message });
+  }
+  res.type('text/plain; charset=utf-8');
+  res.set('X-Line-From', String(from));
+  res.set('X-Line-To', String(range.to));
+  if (range.totalLines !== null) {
+    res.set('X-Total-Lines', String(range.totalLines));
+    if (range.to < range.totalLines && to !== Infinity) {
+      const nextTo = range.to + (to - from + 1);
+      res.set('Link', `</logs/${encodeURIComponent(filename)}?from=${range.to + 1}&to=${nextTo}>; rel="next"`);
+    }
+  }
+  res.send(range.lines.length > 0 ? range.lines.join('\n') + '\n' : '');
+}
+
+/**
+ * Search archived logs
+ * q: text to find (case-insensitive); job: name or glob; result: e.g. FAILURE,UNSTABLE;
+ * since: 24h, 7d or a date; stage: part of a stage name; context: lines around
+ * each match; limit/offset: paging.
+ */
+app.get('/search', ...readAuth, async (req, res) => {
+  const { q, job, result, stage } = req.query;
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ error: "Missing query: pass the text to search for as 'q'" });
+  }
+
+  let since;
+  try {
+    since = req.query.since ? parseSince(req.query.since) : undefined;
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid since', message: error.message });
+  }
+  const intParam = (value, fallback, max) => {
+    const parsed = parseInt(value, 10);
+    return Math.min(max, Math.max(0, Number.isNaN(parsed) ? fallback : parsed));
+  };
+
+  try {
+    const found = await logIndex.search({
+      q,
+      job,
+      result,
+      since,
+      stage,
+      context: intParam(req.query.context, 2, 10),
+      limit: Math.max(1, intParam(req.query.limit, 50, 500)),
+      offset: intParam(req.query.offset, 0, Number.MAX_SAFE_INTEGER),
+    });
+    res.json({ query: { q, job, result, since: since ? new Date(since).toISOString() : undefined, stage }, ...found });
+  } catch (error) {
+    logger.error('Error searching logs:', error);
+    res.status(500).json({ error: 'Failed to search logs', message: error.message });
+  }
+});
+
 // Global error handlers
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -295,13 +780,58 @@ const server = app.listen(PORT, () => {
   logger.info(`🔗 Webhook URL: http://localhost:${PORT}/webhook`);
   logger.info(`💚 Health check: http://localhost:${PORT}/health`);
   logger.info(`📊 Status: http://localhost:${PORT}/status`);
+  logger.info(`📈 Metrics: http://localhost:${PORT}/metrics`);
   logger.info(`📋 All logs: http://localhost:${PORT}/logs`);
   logger.info(`🔔 Webhook logs: http://localhost:${PORT}/logs/webhook`);
+  logger.info(`🔎 Search: http://localhost:${PORT}/search?q=error&job=&result=&since=24h`);
+  logger.info(`📺 Live logs: http://localhost:${PORT}/builds/{job}/{number}/stream (SSE or WebSocket)`);
+  logger.info(`🔒 Webhook signatures: ${process.env.WEBHOOK_SECRET ? 'required' : 'NOT verified (set WEBHOOK_SECRET)'}${allowlist ? ', source allowlist on' : ''}`);
+  logger.info(`🔒 /status, /logs and /search: ${readAuth.length ? 'bearer token required' : 'open (set WEBHOOK_API_TOKENS)'}`);
+  logger.info(`🔌 Port API: ${portClient ? portClient.apiUrl : 'not configured (PORT_CLIENT_ID / PORT_CLIENT_SECRET unset)'}`);
   logger.info('='.repeat(50));
-  logger.info(`\n📝 Log file naming:`);
-  logger.info(`   - Webhook: webhookstream-{job}-build-{number}-{timestamp}.log`);
-  logger.info(`   - Manual:  {job}-build-{number}-{timestamp}.log`);
+  logger.info(`\n📝 Log archive: ${jenkinsCapture.archive.sinks.map(sink => sink.name).join(', ')}`);
+  logger.info(`   - Webhook: webhookstream-{job}-build-{number}-{timestamp}.log.gz`);
+  logger.info(`   - Manual:  {job}-build-{number}-{timestamp}.log.gz`);
   logger.info('\n⏳ Waiting for Jenkins webhooks...\n');
+
+  // Index logs archived while the server was down or by CLI captures
+  logIndex.sync().catch(error => logger.warn(`⚠️  Log index sync failed: ${error.message}`));
+});
+
+/**
+ * Live log stream over WebSocket (same path and options as the SSE endpoint)
+ * Each message is JSON: { event, data, offset }.
+ */
+const wss = new WebSocketServer({ noServer: true });
+server.on('upgrade', (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  const rejectUpgrade = (status, message) => {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n${JSON.stringify({ error: http.STATUS_CODES[status], message })}`);
+  };
+
+  const rejection = apiTokens.length > 0 ? checkBearer(req, apiTokens) : null;
+  if (rejection) {
+    return rejectUpgrade(rejection.status, rejection.message);
+  }
+  const request = parseStreamRequest(url.pathname, url.searchParams);
+  if (request.status) {
+    return rejectUpgrade(request.status, request.message);
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    let unsubscribe;
+    try {
+      unsubscribe = subscribeViewer(request, (event, data, offset) => {
+        if (ws.readyState !== ws.OPEN) return;
+        ws.send(JSON.stringify({ event, data, offset }));
+        if (event === 'end') ws.close(1000, 'Build ended');
+      });
+    } catch (error) {
+      // Another stream took the last slot since the request was checked
+      return ws.close(1013, error.message);
+    }
+    ws.on('close', unsubscribe);
+  });
 });
 
 // Handle server errors
@@ -318,6 +848,7 @@ server.on('error', (error) => {
 process.on('SIGINT', () => {
   logger.info('\n\n👋 Shutting down webhook server...');
   logger.info(`Active monitors: ${activeTasks.size}`);
+  buildStreams.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -326,6 +857,7 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
   logger.info('\n\n👋 SIGTERM received, shutting down...');
+  buildStreams.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,156 @@
+const logger = require('./logger');
+
+/**
+ * Bounded worker pool with a global concurrency cap and per-key caps
+ * Tasks that cannot start immediately wait in a FIFO queue; a waiting task
+ * is skipped (not blocked on) while its key is at its cap, so one busy job
+ * does not hold up the others.
+ */
+class WorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxConcurrent - Max tasks running at once
+   * @param {number} options.maxQueued - Waiting tasks at which the pool reports itself saturated
+   * @param {number} options.maxPerKey - Default max running tasks per key (0 = no per-key cap)
+   * @param {Object<string, number>} options.keyLimits - Per-key overrides of maxPerKey
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 5;
+    this.maxQueued = options.maxQueued || 10;
+    this.maxPerKey = options.maxPerKey || 0;
+    this.keyLimits = options.keyLimits || {};
+
+    this.activeCount = 0;
+    this.activeByKey = new Map();
+    this.waiting = [];
+  }
+
+  /**
+   * Submit a task
+   * @param {string} key - Concurrency key (e.g. Jenkins job name)
+   * @param {function(): Promise} task - Work to run once a slot is free
+   * @param {Object} hooks
+   * @param {function(number): Promise} hooks.onQueued - Called with the 1-based queue position while waiting
+   * @returns {Promise} Settles with the task's result
+   */
+  submit(key, task, hooks = {}) {
+    return new Promise((resolve, reject) => {
+      const entry = { key, task, hooks, resolve, reject, position: null };
+
+      if (this.canStart(key)) {
+        this.startEntry(entry);
+        return;
+      }
+
+      this.waiting.push(entry);
+      logger.info(`⏸️  Run queued locally for ${key} (position ${this.waiting.length}, ${this.activeCount} active)`);
+      this.notifyPositions();
+    });
+  }
+
+  /**
+   * Whether the pool cannot take more work without growing its queue past maxQueued
+   */
+  isSaturated() {
+    return this.waiting.length >= this.maxQueued;
+  }
+
+  /**
+   * Limit for a key (0 = unlimited)
+   */
+  limitFor(key) {
+    return this.keyLimits[key] !== undefined ? this.keyLimits[key] : this.maxPerKey;
+  }
+
+  canStart(key) {
+    if (this.activeCount >= this.maxConcurrent) return false;
+    const limit = this.limitFor(key);
+    return !limit || (this.activeByKey.get(key) || 0) < limit;
+  }
+
+  startEntry(entry) {
+    this.activeCount++;
+    this.activeByKey.set(entry.key, (this.activeByKey.get(entry.key) || 0) + 1);
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.activeCount--;
+        const remaining = this.activeByKey.get(entry.key) - 1;
+        if (remaining > 0) {
+          this.activeByKey.set(entry.key, remaining);
+        } else {
+          this.activeByKey.delete(entry.key);
+        }
+        this.drain();
+      });
+  }
+
+  /**
+   * Start waiting tasks that now have a free slot
+   */
+  drain() {
+    let started = false;
+    for (let i = 0; i < this.waiting.length && this.activeCount < this.maxConcurrent;) {
+      const entry = this.waiting[i];
+      if (this.canStart(entry.key)) {
+        this.waiting.splice(i, 1);
+        this.startEntry(entry);
+        started = true;
+      } else {
+        i++;
+      }
+    }
+    if (started) {
+      this.notifyPositions();
+    }
+  }
+
+  /**
+   * Tell waiting tasks about their (changed) queue position
+   */
+  notifyPositions() {
+    this.waiting.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position === position || !entry.hooks.onQueued) {
+        entry.position = position;
+        return;
+      }
+      entry.position = position;
+      Promise.resolve()
+        .then(() => entry.hooks.onQueued(position))
+        .catch(error => logger.debug(`onQueued hook error: ${error.message}`));
+    });
+  }
+
+  /**
+   * Snapshot for logging / health endpoints
+   */
+  stats() {
+    return {
+      active: this.activeCount,
+      queued: this.waiting.length,
+      maxConcurrent: this.maxConcurrent,
+      activeByKey: Object.fromEntries(this.activeByKey),
+    };
+  }
+}
+
+/**
+ * Parse "jobA=1,jobB=2" into { jobA: 1, jobB: 2 }
+ */
+function parseKeyLimits(value) {
+  if (!value) return {};
+  return value.split(',').reduce((limits, pair) => {
+    const [key, limit] = pair.split('=').map(part => part && part.trim());
+    const parsed = parseInt(limit, 10);
+    if (key && !Number.isNaN(parsed)) {
+      limits[key] = parsed;
+    }
+    return limits;
+  }, {});
+}
+
+module.exports = WorkerPool;
+module.exports.parseKeyLimits = parseKeyLimits;